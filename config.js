@@ -5,9 +5,20 @@ module.exports = {
   // Command configuration
   commandPrefix: '!',
   
-  // Rate limiting
-  commandDelay: 50, // ms between commands
-  batchDelay: 100,  // ms between batched commands
+  // Flow control - Bedrock drops commands once ~100 are waiting for a response
+  flowControl: {
+    maxInFlight: 90,    // Hard cap on unacknowledged commands
+    initialWindow: 16,  // Commands in flight before any latency has been measured
+    minWindow: 4,       // Window never shrinks below this
+    targetLatency: 250, // ms - window grows while responses are faster than this
+    maxRetries: 2       // Resend attempts for commands that got no response
+  },
+  commandTimeout: 5000, // ms to wait for a commandResponse before retrying
+  
+  // Bot chat messages (sent with tellraw)
+  chat: {
+    replyToSender: true // Replies go only to the player who sent the command; false sends them to everyone
+  },
   
   // Live updates configuration
   liveUpdates: {
@@ -16,52 +27,178 @@ module.exports = {
     maxDuration: 300000, // Stop after 5 minutes (300 seconds)
   },
   
-  // Minecraft coordinates
-  coordinates: {
-    // Subscriber counter display area
-    subscriberDisplay: {
-      start: { x: 1, y: -60, z: 42 },
-      digitSpacing: 4
+  // How changed digits appear during live updates
+  counterAnimation: {
+    mode: 'none',   // 'none' (swap at once), 'roll' (count through the digits in between) or 'slide' (new digit pushes the old one out)
+    duration: 800,  // ms for the whole animation - capped at half of liveUpdates.interval
+    maxFrames: 6    // Most frames in between old and new
+  },
+  
+  // Display boards - each board is placed by one origin and a facing, and its
+  // widgets are positioned relative to that, so moving a board means changing
+  // only its origin. Widget offsets and sizes are in blocks: u to the right and
+  // v downwards from the board's top-left corner, as read by a player standing
+  // at the bottom edge looking in the facing direction. Clearing a widget
+  // clears exactly its width x height.
+  boards: {
+    // Laid out for the bundled Sub Counter.mcworld
+    main: {
+      origin: { x: 3, y: -60, z: 82 }, // Top-left block
+      orientation: 'floor',            // floor, ceiling or wall
+      facing: 'south',                 // north, east, south or west - where the top edge points (walls: where the front faces)
+      widgets: [
+        { type: 'avatar', offset: { u: 0, v: 0 }, width: 35, height: 35 },
+        // Drawn at the largest scale up to maxScale that fits, and cut short with "..." otherwise
+        { type: 'name', offset: { u: 0, v: 36 }, width: 35, height: 10, maxScale: 2 },
+        // digits: font draws the digits with the built-in block font, templates clones the digitTemplates below
+        // format: full (1234567), comma (1,234,567, set separator to change the comma) or abbreviated (1.2M)
+        { type: 'counter', offset: { u: 0, v: 47 }, width: 39, height: 5, digits: 'font', digitSpacing: 4, format: 'full' },
+        // !goal progress bar (barHeight rows) with the subscribers still needed written under it
+        { type: 'goal', offset: { u: 0, v: 53 }, width: 35, height: 9, barHeight: 3, barBlock: 'concrete 5', emptyBlock: 'concrete 8' },
+        // !image pictures (the widget size is the largest picture allowed)
+        { type: 'image', offset: { u: 41, v: 0 }, width: 64, height: 64, defaultWidth: 48, defaultHeight: 48 }
+      ]
     },
-    
-    // Pre-built digit templates (clone source coordinates)
-    digitTemplates: {
-      '0': { from: '-34 -64 46', to: '-36 -64 42' },
-      '1': { from: '2 -64 46', to: '0 -64 42' },
-      '2': { from: '-2 -64 46', to: '-4 -64 42' },
-      '3': { from: '-6 -64 46', to: '-8 -64 42' },
-      '4': { from: '-10 -64 46', to: '-12 -64 42' },
-      '5': { from: '-14 -64 46', to: '-16 -64 42' },
-      '6': { from: '-18 -64 46', to: '-20 -64 42' },
-      '7': { from: '-22 -64 46', to: '-24 -64 42' },
-      '8': { from: '-26 -64 46', to: '-28 -64 42' },
-      '9': { from: '-30 -64 46', to: '-32 -64 42' }
+    // !vs race - widgets with a channel show channel a (left) or b (right) instead of the main
+    // channel, and the gap widget shows the difference with arrows pointing at the leader.
+    // Leave out the avatars to skip downloading them.
+    versus: {
+      origin: { x: 3, y: -60, z: 150 },
+      orientation: 'floor',
+      facing: 'south',
+      widgets: [
+        { type: 'avatar', id: 'avatarA', channel: 'a', offset: { u: 7, v: 0 }, width: 24, height: 24 },
+        { type: 'avatar', id: 'avatarB', channel: 'b', offset: { u: 52, v: 0 }, width: 24, height: 24 },
+        { type: 'name', id: 'nameA', channel: 'a', offset: { u: 0, v: 25 }, width: 39, height: 5 },
+        { type: 'name', id: 'nameB', channel: 'b', offset: { u: 45, v: 25 }, width: 39, height: 5 },
+        { type: 'counter', id: 'counterA', channel: 'a', offset: { u: 0, v: 31 }, width: 39, height: 5, format: 'comma' },
+        { type: 'counter', id: 'counterB', channel: 'b', offset: { u: 45, v: 31 }, width: 39, height: 5, format: 'comma' },
+        { type: 'gap', offset: { u: 0, v: 38 }, width: 84, height: 10, maxScale: 2 }
+      ]
     },
-    
-    // Profile image display area
-    profileImage: {
-      corner: { x: -31, y: -60, z: 82 },
-      width: 35,
-      height: 35
+    // !top leaderboard wall - one row per channel with its rank, name and count
+    leaderboard: {
+      origin: { x: -101, y: 0, z: 10 },
+      orientation: 'wall',
+      facing: 'south',
+      widgets: [
+        // rows of height / rows blocks; names get the width left between the rank and count columns
+        { type: 'leaderboard', offset: { u: 0, v: 0 }, width: 100, height: 60, rows: 10, rankWidth: 10, countWidth: 39 }
+      ]
+    }
+  },
+  
+  // Channels ranked by !top (IDs, @handles or URLs) and how often their counts are refreshed
+  leaderboard: {
+    channels: ['@MrBeast', '@tseries', '@CoComelon', '@SETIndia', '@KidsDianaShow', '@PewDiePie', '@LikeNastyaofficial', '@VladandNiki', '@zeemusiccompany', '@WWE'],
+    refreshInterval: 60000 // ms
+  },
+  
+  // Celebrations when live updates see the count pass a milestone (each fires once per session)
+  celebrations: {
+    enabled: true,
+    // Milestone spacing by count size - the first rule whose upTo is above the new count applies
+    milestones: [
+      { upTo: 100000, every: 1000 },
+      { upTo: 1000000, every: 10000 },
+      { upTo: 10000000, every: 100000 },
+      { upTo: Infinity, every: 1000000 }
+    ],
+    effects: {
+      fireworks: 8,                         // Rockets summoned around each board with a counter (0 for none)
+      particle: 'minecraft:totem_particle', // Burst at each board's centre and corners (null for none)
+      sound: 'random.levelup',              // Played to all players (null for none)
+      title: true                           // Milestone title and channel name subtitle for all players
+    }
+  },
+  
+  // Other places the count is shown, toggled with !show and refreshed by live updates
+  outputs: {
+    sidebar: {
+      objective: 'subs',          // Scoreboard objective holding the count
+      displayName: 'Subscribers'  // Sidebar title
     },
-    
-    // Clear areas
-    clearAreas: [
-      { from: '3 -60 42', to: '-31 -60 46' },  // Subscriber display
-      { from: '-31 -60 82', to: '3 -59 48' }   // Profile image area
-    ]
+    progress: {
+      width: 40,                  // Characters in the actionbar progress bar
+      block: '|',
+      fullColor: '§a',
+      emptyColor: '§7'
+    }
+  },
+  
+  // Board positions set in game with !place (applied over config.boards on startup)
+  placements: {
+    file: './data/placements.json'
+  },
+  
+  // Pre-built digit templates (clone source coordinates, only used by counters with digits: 'templates')
+  // Build them flat, read facing south - other board orientations copy them block by block
+  digitTemplates: {
+    '0': { from: '-34 -64 46', to: '-36 -64 42' },
+    '1': { from: '2 -64 46', to: '0 -64 42' },
+    '2': { from: '-2 -64 46', to: '-4 -64 42' },
+    '3': { from: '-6 -64 46', to: '-8 -64 42' },
+    '4': { from: '-10 -64 46', to: '-12 -64 42' },
+    '5': { from: '-14 -64 46', to: '-16 -64 42' },
+    '6': { from: '-18 -64 46', to: '-20 -64 42' },
+    '7': { from: '-22 -64 46', to: '-24 -64 42' },
+    '8': { from: '-26 -64 46', to: '-28 -64 42' },
+    '9': { from: '-30 -64 46', to: '-32 -64 42' }
+  },
+  
+  // Built-in block font used for the counter and other text (change in game with !font)
+  font: {
+    block: 'concrete 15', // Block the letters are made of
+    scale: 1,             // Every font pixel becomes scale x scale blocks
+    maxScale: 3,          // Largest scale !font accepts
+    spacing: 1            // Empty columns between characters (before scaling)
+  },
+  
+  // Block palettes - each set combines block lists from the palettes folder
+  // (any single block list, e.g. "misc", can also be selected by its file name)
+  palettes: {
+    directory: './palettes',
+    default: 'classic',
+    sets: {
+      classic: ['wool', 'concrete'],
+      wool: ['wool'],
+      concrete: ['concrete'],
+      terracotta: ['terracotta'],
+      'concrete+powder': ['concrete', 'concrete_powder'],
+      solid: ['wool', 'concrete', 'concrete_powder', 'terracotta', 'misc']
+    }
   },
   
   // Image processing
   image: {
     width: 35,
     height: 35,
-    tempFiles: {
-      original: './temp_original.png',
-      processed: './temp_processed.png'
+    dither: 'none', // none, floyd-steinberg, atkinson or bayer (override per render with --dither)
+    colorMetric: 'ciede2000', // rgb, weighted-rgb, cie76 or ciede2000
+    download: {
+      maxBytes: 5 * 1024 * 1024,       // Largest image accepted
+      maxInputPixels: 4096 * 4096,     // Largest decoded image accepted
+      allowedTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+      allowedFormats: ['png', 'jpeg', 'webp', 'gif'],
+      allowedHosts: [],                // Only download from these hosts and their subdomains, e.g. ['i.imgur.com'] (empty: any)
+      allowPrivateHosts: false         // Allow downloads from localhost and private or link-local addresses
+    },
+    circleMask: false, // Crop avatars to a circle like YouTube shows them (override with --circle)
+    transparency: {
+      mode: 'skip',          // skip: leave the world block untouched, background: place the background block
+      background: 'wool 0',  // Block for transparent pixels in background mode (override with --bg wool:0)
+      alphaThreshold: 128    // Pixels less opaque than this count as transparent
     }
   },
   
+  // Animated GIF/WebP playback on the image board
+  animation: {
+    fps: null,          // Fixed frame rate, or null to use the file's own frame delays
+    minFrameTime: 100,  // ms - frames never play faster than this
+    maxFrames: 60,      // Frames beyond this are dropped
+    loop: true
+  },
+  
   // API endpoints
   api: {
     youtubeCounter: 'https://mixerno.space/api/youtube-channel-counter/user/',
@@ -1,28 +1,79 @@
 const config = require('../config');
 const Logger = require('../utils/logger');
 const YouTubeService = require('../services/youtubeService');
+const AnimationPlayer = require('../services/animationPlayer');
+const OutputTargets = require('../services/outputTargets');
+const CommandSystem = require('../utils/commandSystem');
+const Dithering = require('../utils/dithering');
+const BoardLayout = require('../utils/boardLayout');
+const MinecraftRenderer = require('../services/minecraftRenderer');
+
+// Image flags that take a value (see parseImageOptions)
+const IMAGE_VALUE_FLAGS = ['dither', 'bg'];
+
+// Shorter names players can type for counter formats
+const FORMAT_ALIASES = { short: 'abbreviated', commas: 'comma' };
+const FORMAT_EXAMPLES = { full: '1234567', comma: '1,234,567', abbreviated: '1.2M' };
 
 class CommandHandler {
-  constructor(commandSystem, imageProcessor, minecraftRenderer) {
+  constructor(commandSystem, imageProcessor, minecraftRenderer, placementStore = null) {
     this.commandSystem = commandSystem;
     this.imageProcessor = imageProcessor;
     this.minecraftRenderer = minecraftRenderer;
+    this.placementStore = placementStore; // Saves boards moved with !place
     this.isProcessing = false;
     
+    // Animated !image playback
+    this.animationPlayer = new AnimationPlayer(minecraftRenderer);
+    this.animationPlayer.onError = (error) => {
+      this.commandSystem.say(`❌ Animation stopped: ${error.message}`).catch(() => {});
+    };
+    
     // Live updates state
     this.liveUpdates = {
       enabled: false,
       intervalId: null,
       channelData: null,
       startTime: null,
-      lastSubscriberCount: null
+      lastSubscriberCount: null,
+      checking: false // A check (fetch and render) is in progress
+    };
+    
+    // Subscriber goal set with !goal
+    this.goal = {
+      target: null,
+      reached: false
+    };
+    
+    // Milestones celebrated this session, as "channelId:milestone"
+    this.celebratedMilestones = new Set();
+    
+    // Sidebar, actionbar and progress bar outputs toggled with !show
+    this.outputTargets = new OutputTargets(commandSystem);
+    
+    // Channels ranked on the leaderboard with !top
+    this.leaderboard = {
+      channels: null,   // Channel data, highest count first
+      intervalId: null,
+      refreshing: false
+    };
+    
+    // Channel race shown with !vs
+    this.versus = {
+      sides: null,      // { channelData, profileImage } for channel a and b
+      leader: null,     // Index of the side last seen ahead
+      intervalId: null,
+      timeoutId: null,
+      checking: false
     };
   }
 
   /**
    * Parse and execute commands from player messages
+   * @param {string} message - Chat message
+   * @param {string} sender - Name of the player who sent it
    */
-  async handleMessage(message) {
+  async handleMessage(message, sender = null) {
     try {
       const trimmed = message.trim();
       
@@ -36,7 +87,7 @@ class CommandHandler {
 
       Logger.info(`Processing command: ${command} with args: [${args.join(', ')}]`);
       
-      await this.executeCommand(command, args);
+      await this.executeCommand(command, args, sender);
       return true;
       
     } catch (error) {
@@ -46,12 +97,74 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Split command arguments into positional arguments and --flags
+   * Flags listed in valueFlags take a value (--name value or --name=value),
+   * any other flag is a boolean switch
+   */
+  parseFlags(args, valueFlags = []) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+
+      if (!arg.startsWith('--') || arg.length === 2) {
+        positional.push(arg);
+        continue;
+      }
+
+      const [name, inlineValue] = arg.substring(2).split('=', 2);
+      const flagName = name.toLowerCase();
+
+      if (inlineValue !== undefined) {
+        flags[flagName] = inlineValue;
+      } else if (valueFlags.includes(flagName) && i + 1 < args.length) {
+        flags[flagName] = args[++i];
+      } else {
+        flags[flagName] = true;
+      }
+    }
+
+    return { args: positional, flags };
+  }
+
+  /**
+   * Build ImageProcessor.generateBlockData options from image flags
+   * (--dither <mode>, --circle / --no-circle, --bg <block:data>)
+   * @returns {Object} { imageOptions } or { error } with a message for the player
+   */
+  parseImageOptions(flags) {
+    const imageOptions = {};
+
+    if (flags.dither !== undefined) {
+      imageOptions.dither = Dithering.resolveMode(String(flags.dither));
+      if (!imageOptions.dither) {
+        return { error: `Unknown dithering mode. Available: ${Dithering.modes.join(', ')}` };
+      }
+    }
+
+    if (flags.circle) imageOptions.circle = true;
+    if (flags['no-circle']) imageOptions.circle = false;
+
+    if (flags.bg !== undefined) {
+      const background = String(flags.bg).replace(':', ' ');
+      if (!this.imageProcessor.paletteManager.findBlock(background)) {
+        return { error: `Unknown background block: ${flags.bg} (use block:data, e.g. wool:0)` };
+      }
+      imageOptions.transparency = 'background';
+      imageOptions.background = background;
+    }
+
+    return { imageOptions };
+  }
+
   /**
    * Execute specific commands
    */
-  async executeCommand(command, args) {
+  async executeCommand(command, args, sender = null) {
     // Prevent multiple simultaneous operations
-    if (this.isProcessing && ['subs', 'channel', 'clear'].includes(command)) {
+    if (this.isProcessing && ['subs', 'channel', 'clear', 'image', 'font', 'format', 'place', 'vs', 'top'].includes(command)) {
       await this.commandSystem.say('⏳ Please wait, still processing previous command...');
       return;
     }
@@ -71,6 +184,16 @@ class CommandHandler {
         await this.handleChannelInfo(args);
         break;
 
+      case 'image':
+      case 'img':
+        await this.handleImage(args);
+        break;
+
+      case 'anim':
+      case 'animation':
+        await this.handleAnimation(args);
+        break;
+
       case 'search':
         await this.handleChannelSearch(args);
         break;
@@ -102,6 +225,38 @@ class CommandHandler {
         await this.handleReload();
         break;
 
+      case 'palette':
+        await this.handlePalette(args);
+        break;
+
+      case 'font':
+        await this.handleFont(args);
+        break;
+
+      case 'format':
+        await this.handleFormat(args);
+        break;
+
+      case 'place':
+        await this.handlePlace(args, sender);
+        break;
+
+      case 'goal':
+        await this.handleGoal(args);
+        break;
+
+      case 'show':
+        await this.handleShow(args);
+        break;
+
+      case 'vs':
+        await this.handleVersus(args);
+        break;
+
+      case 'top':
+        await this.handleTopChannels(args);
+        break;
+
       default:
         await this.commandSystem.say(`❓ Unknown command: ${command}. Use !help for available commands.`);
     }
@@ -114,12 +269,20 @@ class CommandHandler {
     this.isProcessing = true;
     
     try {
-      if (args.length === 0) {
-        await this.commandSystem.say('❓ Usage: !subs <channel_url_or_id_or_search_term>');
+      const { args: channelArgs, flags } = this.parseFlags(args, IMAGE_VALUE_FLAGS);
+
+      if (channelArgs.length === 0) {
+        await this.commandSystem.say('❓ Usage: !subs <channel_url_or_id_or_search_term> [--dither <mode>] [--circle] [--bg <block:data>]');
         return;
       }
 
-      const channelInput = args.join(' ');
+      const { imageOptions, error: optionsError } = this.parseImageOptions(flags);
+      if (optionsError) {
+        await this.commandSystem.say(`❌ ${optionsError}`);
+        return;
+      }
+
+      const channelInput = channelArgs.join(' ');
       
       if (!YouTubeService.isValidChannelInput(channelInput)) {
         await this.commandSystem.say('❌ Invalid channel format. Please provide a YouTube channel URL, ID, @username, or search term.');
@@ -142,18 +305,18 @@ class CommandHandler {
       this.liveUpdates.channelData = channelData;
       this.liveUpdates.lastSubscriberCount = channelData.subscriberCount;
       
-      // Clear existing displays first
-      await this.commandSystem.say('🧹 Clearing existing displays...');
-      await this.minecraftRenderer.clearAll();
-      
       // Process profile image if available
       let blockData = null;
-      if (channelData.profileImageUrl) {
+      const avatar = this.minecraftRenderer.layout.getArea('avatar');
+      if (channelData.profileImageUrl && avatar) {
         try {
           await this.commandSystem.say('🖼️ Processing profile image...');
           
-          await this.imageProcessor.downloadAndProcessImage(channelData.profileImageUrl);
-          blockData = await this.imageProcessor.generateBlockData();
+          const image = await this.imageProcessor.downloadAndProcessImage(channelData.profileImageUrl, {
+            width: avatar.width,
+            height: avatar.height
+          });
+          blockData = await this.imageProcessor.generateBlockData(image, imageOptions);
           
         } catch (error) {
           Logger.warn('Failed to process profile image, continuing without it', error);
@@ -161,16 +324,15 @@ class CommandHandler {
         }
       }
 
-      // Render in Minecraft
+      // Render in Minecraft - only blocks that differ from the current display are sent
       await this.commandSystem.say('🎮 Rendering in Minecraft...');
       await this.minecraftRenderer.renderYouTubeChannel(channelData, blockData);
+      await this.updateGoal(channelData.subscriberCount, { announce: false });
+      await this.updateOutputs();
       
       await this.commandSystem.say('✨ Display complete!');
       await this.commandSystem.say('💡 Use !live to enable live subscriber count updates (optimized for efficiency)!');
       
-      // Cleanup
-      await this.imageProcessor.cleanup();
-      
     } catch (error) {
       Logger.error('Failed to handle subscribers command', error);
       await this.commandSystem.say(`❌ Command failed: ${error.message}`);
@@ -179,6 +341,149 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Handle !image - render any picture on the image board
+   */
+  async handleImage(args) {
+    this.isProcessing = true;
+    
+    try {
+      const { args: imageArgs, flags } = this.parseFlags(args, [...IMAGE_VALUE_FLAGS, 'fit']);
+      const board = this.minecraftRenderer.layout.getArea('image');
+
+      if (!board) {
+        await this.commandSystem.say('❌ The board layout has no image widget.');
+        return;
+      }
+
+      if (imageArgs.length === 0) {
+        await this.commandSystem.say('❓ Usage: !image <url> [width] [height] [--fit cover|contain|stretch] [--dither <mode>]');
+        return;
+      }
+
+      const [url, widthArg, heightArg] = imageArgs;
+      if (!/^https?:\/\//i.test(url)) {
+        await this.commandSystem.say('❌ Please provide an http(s) image URL.');
+        return;
+      }
+
+      const { defaultWidth = board.width, defaultHeight = board.height } = board.widget;
+      const width = widthArg ? parseInt(widthArg, 10) : defaultWidth;
+      const height = heightArg ? parseInt(heightArg, 10) : (widthArg ? width : defaultHeight);
+      if (!(width >= 1 && width <= board.width && height >= 1 && height <= board.height)) {
+        await this.commandSystem.say(`❌ Size must be between 1x1 and ${board.width}x${board.height}.`);
+        return;
+      }
+
+      const fit = String(flags.fit || 'cover').toLowerCase();
+      if (!['cover', 'contain', 'stretch'].includes(fit)) {
+        await this.commandSystem.say('❌ Unknown fit mode. Available: cover, contain, stretch');
+        return;
+      }
+
+      const { imageOptions, error: optionsError } = this.parseImageOptions(flags);
+      if (optionsError) {
+        await this.commandSystem.say(`❌ ${optionsError}`);
+        return;
+      }
+
+      // A new picture replaces any animation playing on the board
+      await this.animationPlayer.unload();
+
+      await this.commandSystem.say(`🖼️ Processing image (${width}x${height}, ${fit})...`);
+      
+      const buffer = await this.imageProcessor.downloadImage(url);
+
+      if (await this.imageProcessor.isAnimated(buffer)) {
+        const { frames, delays } = await this.imageProcessor.processAnimation(buffer, { width, height, fit });
+        const frameBlocks = [];
+        for (const frame of frames) {
+          frameBlocks.push(await this.imageProcessor.generateBlockData(frame, imageOptions));
+        }
+
+        await this.animationPlayer.load(frameBlocks, delays);
+        this.animationPlayer.play();
+        
+        await this.commandSystem.say(`🎞️ Playing ${frames.length} frames. Use !anim stop|play|loop on/off|fps <n> to control playback.`);
+        return;
+      }
+
+      const image = await this.imageProcessor.processImage(buffer, { width, height, fit });
+      const blockData = await this.imageProcessor.generateBlockData(image, imageOptions);
+
+      await this.commandSystem.say('🎮 Rendering in Minecraft...');
+      await this.minecraftRenderer.renderImage(blockData);
+      
+      await this.commandSystem.say('✨ Image complete!');
+      
+    } catch (error) {
+      Logger.error('Failed to handle image command', error);
+      await this.commandSystem.say(`❌ Image failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Handle !anim playback controls
+   */
+  async handleAnimation(args) {
+    const player = this.animationPlayer;
+    const action = (args[0] || '').toLowerCase();
+
+    if (!player.hasAnimation()) {
+      await this.commandSystem.say('❌ No animation loaded. Use !image <gif_url> first!');
+      return;
+    }
+
+    switch (action) {
+      case 'stop':
+      case 'pause':
+        await player.stop();
+        await this.commandSystem.say('⏸️ Animation stopped');
+        break;
+
+      case 'play':
+      case 'start':
+        player.play();
+        await this.commandSystem.say('▶️ Animation playing');
+        break;
+
+      case 'loop': {
+        const value = (args[1] || '').toLowerCase();
+        if (!['on', 'off'].includes(value)) {
+          await this.commandSystem.say('❓ Usage: !anim loop on|off');
+          return;
+        }
+        player.loop = value === 'on';
+        await this.commandSystem.say(`🔁 Looping ${player.loop ? 'enabled' : 'disabled'}`);
+        break;
+      }
+
+      case 'fps': {
+        const value = (args[1] || '').toLowerCase();
+        const fps = Number(value);
+        if (value === 'auto') {
+          player.fps = null;
+          await this.commandSystem.say('⏱️ Using the animation\'s own frame timing');
+        } else if (fps > 0 && fps <= 1000 / config.animation.minFrameTime) {
+          player.fps = fps;
+          await this.commandSystem.say(`⏱️ Frame rate set to ${fps} fps`);
+        } else {
+          await this.commandSystem.say(`❓ Usage: !anim fps <1-${1000 / config.animation.minFrameTime}|auto>`);
+        }
+        break;
+      }
+
+      default: {
+        const state = player.isPlaying ? 'playing' : 'stopped';
+        const timing = player.fps ? `${player.fps} fps` : 'file timing';
+        await this.commandSystem.say(`🎞️ Animation ${state}: ${player.frames.length} frames, ${timing}, loop ${player.loop ? 'on' : 'off'}`);
+        await this.commandSystem.say('❓ Usage: !anim stop|play|loop on/off|fps <n|auto>');
+      }
+    }
+  }
+
   /**
    * Handle live updates toggle
    */
@@ -204,10 +509,14 @@ class CommandHandler {
     }, config.liveUpdates.interval);
 
     // Auto-stop after max duration
-    setTimeout(() => {
-      if (this.liveUpdates.enabled) {
-        this.handleStopLiveUpdates();
-        this.commandSystem.say('⏰ Live updates stopped automatically after 5 minutes');
+    setTimeout(async () => {
+      try {
+        if (this.liveUpdates.enabled) {
+          await this.handleStopLiveUpdates();
+          await this.commandSystem.say('⏰ Live updates stopped automatically after 5 minutes');
+        }
+      } catch (error) {
+        Logger.error('Failed to stop live updates automatically', error);
       }
     }, config.liveUpdates.maxDuration);
   }
@@ -239,6 +548,14 @@ class CommandHandler {
       return;
     }
 
+    // A slow fetch or a counter animation can outlast the interval - skip this tick
+    // rather than drawing over the previous one
+    if (this.liveUpdates.checking) {
+      Logger.debug('Previous live update still running, skipping this check');
+      return;
+    }
+    this.liveUpdates.checking = true;
+
     try {
       const channelData = await YouTubeService.fetchChannelDataDirect(this.liveUpdates.channelData.channelId);
       
@@ -255,18 +572,405 @@ class CommandHandler {
         
         //await this.commandSystem.say(`📈 Subscriber count updated: ${YouTubeService.formatSubscriberCount(newCount)} (was ${YouTubeService.formatSubscriberCount(oldCount)})`);
         
-        // Use smart rendering - only update changed digits
-        await this.minecraftRenderer.smartRenderSubscriberCount(newCount, oldCount);
+        // Use smart rendering - only update changed digits (animated if configured)
+        await this.minecraftRenderer.animateSubscriberCount(newCount, oldCount);
+        await this.updateGoal(newCount);
+        await this.checkMilestones(oldCount, newCount);
         
         this.liveUpdates.lastSubscriberCount = newCount;
         this.liveUpdates.channelData.subscriberCount = newCount;
       }
       
+      // Every tick, so the actionbar doesn't fade between changes
+      await this.updateOutputs();
+      
     } catch (error) {
       Logger.error('Failed to check for subscriber updates', error);
+    } finally {
+      this.liveUpdates.checking = false;
+    }
+  }
+
+  /**
+   * Handle !goal - set, show or remove the subscriber goal
+   */
+  async handleGoal(args) {
+    try {
+      const value = (args[0] || '').toLowerCase();
+
+      if (!value) {
+        if (!this.goal.target) {
+          await this.commandSystem.say('🎯 No goal set. Usage: !goal <number> (e.g. !goal 1M) or !goal off');
+          return;
+        }
+        const current = this.liveUpdates.channelData?.subscriberCount;
+        const remaining = current ? Math.max(0, this.goal.target - parseInt(current, 10)) : null;
+        await this.commandSystem.say(`🎯 Goal: ${YouTubeService.formatSubscriberCount(this.goal.target)}${remaining !== null ? ` (${remaining.toLocaleString('en-US')} to go)` : ''}`);
+        return;
+      }
+
+      if (['off', 'clear', 'none'].includes(value)) {
+        this.goal.target = null;
+        this.goal.reached = false;
+        await this.minecraftRenderer.clearGoal();
+        await this.commandSystem.say('🎯 Goal removed');
+        return;
+      }
+
+      const target = YouTubeService.parseSubscriberCount(value);
+      if (!target) {
+        await this.commandSystem.say('❓ Usage: !goal <number> (e.g. !goal 1000000 or !goal 1M) or !goal off');
+        return;
+      }
+
+      if (this.minecraftRenderer.layout.getAreas('goal').length === 0) {
+        await this.commandSystem.say('⚠️ The board layout has no goal widget - the goal is tracked in chat only');
+      }
+
+      this.goal.target = target;
+      this.goal.reached = false;
+      await this.commandSystem.say(`🎯 Goal set: ${target.toLocaleString('en-US')} subscribers`);
+
+      const channelData = this.liveUpdates.channelData;
+      if (channelData) {
+        await this.updateGoal(channelData.subscriberCount, { announce: false });
+        if (this.goal.reached) {
+          await this.commandSystem.say(`ℹ️ ${channelData.channelName} is already past this goal`);
+        }
+      } else {
+        await this.commandSystem.say('💡 Use !subs <channel> to show progress towards it');
+      }
+      
+    } catch (error) {
+      Logger.error('Failed to handle goal command', error);
+      await this.commandSystem.say(`❌ Goal failed: ${error.message}`);
     }
   }
 
+  /**
+   * Redraw the goal bar for a new count and announce when the goal is reached
+   * @param {Object} options - announce: false only records whether the goal is
+   *   already reached (e.g. when switching to a channel that is past it)
+   */
+  async updateGoal(subscriberCount, { announce = true } = {}) {
+    if (!this.goal.target) {
+      return;
+    }
+
+    await this.minecraftRenderer.renderGoal(subscriberCount, this.goal.target);
+
+    const reached = parseInt(subscriberCount, 10) >= this.goal.target;
+    if (reached && !this.goal.reached && announce) {
+      const channelName = this.liveUpdates.channelData?.channelName || 'The channel';
+      await this.commandSystem.say(`🎉 GOAL REACHED! ${channelName} hit ${this.goal.target.toLocaleString('en-US')} subscribers!`, { broadcast: true });
+    }
+    this.goal.reached = reached;
+  }
+
+  /**
+   * Find the milestone a count change crossed, if any
+   * The milestone spacing depends on the new count (see config.celebrations.milestones)
+   * @returns {number|null}
+   */
+  findMilestone(oldCount, newCount) {
+    const previous = parseInt(oldCount, 10);
+    const current = parseInt(newCount, 10);
+    if (!(current > previous)) {
+      return null;
+    }
+
+    const rule = this.getMilestoneRule(current);
+    if (!rule) {
+      return null;
+    }
+
+    const milestone = Math.floor(current / rule.every) * rule.every;
+    return milestone > previous && milestone > 0 ? milestone : null;
+  }
+
+  /**
+   * Milestone spacing for a count (see config.celebrations.milestones)
+   */
+  getMilestoneRule(count) {
+    return config.celebrations.milestones.find(milestone => count < milestone.upTo) || null;
+  }
+
+  /**
+   * The next milestone above a count, or null past the last rule
+   */
+  getNextMilestone(count) {
+    const current = parseInt(count, 10);
+    const rule = this.getMilestoneRule(current);
+    return rule ? (Math.floor(current / rule.every) + 1) * rule.every : null;
+  }
+
+  /**
+   * Celebrate in game when live updates see the count pass a milestone
+   * Each milestone fires only once per session, even if the count dips and recovers
+   */
+  async checkMilestones(oldCount, newCount) {
+    if (!config.celebrations.enabled) {
+      return;
+    }
+
+    const milestone = this.findMilestone(oldCount, newCount);
+    const channelData = this.liveUpdates.channelData;
+    const key = `${channelData.channelId}:${milestone}`;
+    if (!milestone || this.celebratedMilestones.has(key)) {
+      return;
+    }
+
+    this.celebratedMilestones.add(key);
+    Logger.success(`${channelData.channelName} passed ${milestone} subscribers`);
+    
+    await this.commandSystem.say(`🎆 ${channelData.channelName} just passed ${milestone.toLocaleString('en-US')} subscribers!`, { broadcast: true });
+    await this.minecraftRenderer.celebrate(milestone, channelData.channelName);
+  }
+
+  /**
+   * Handle !show <sidebar|actionbar|progress> on|off - extra places the count is shown
+   */
+  async handleShow(args) {
+    try {
+      const targets = OutputTargets.targets;
+      const [target, state] = args.map(arg => arg.toLowerCase());
+
+      if (!target) {
+        const status = targets.map(name => `${name}: ${this.outputTargets.isEnabled(name) ? 'on' : 'off'}`);
+        await this.commandSystem.say(`📺 Outputs: ${status.join(', ')}`);
+        await this.commandSystem.say(`❓ Usage: !show <${targets.join('|')}> on|off`);
+        return;
+      }
+
+      if (!targets.includes(target)) {
+        await this.commandSystem.say(`❌ Unknown output: ${target}. Available: ${targets.join(', ')}`);
+        return;
+      }
+
+      if (state !== 'on' && state !== 'off') {
+        await this.commandSystem.say(`❓ Usage: !show ${target} on|off`);
+        return;
+      }
+
+      await this.outputTargets.setEnabled(target, state === 'on');
+      await this.updateOutputs();
+      await this.commandSystem.say(`📺 ${target} ${state === 'on' ? 'enabled' : 'disabled'}`);
+
+      if (state === 'on' && !this.liveUpdates.channelData) {
+        await this.commandSystem.say('💡 Use !subs <channel> to choose what it shows');
+      } else if (state === 'on' && target !== 'sidebar' && !this.liveUpdates.enabled) {
+        await this.commandSystem.say('💡 The actionbar fades - use !live to keep it updated');
+      }
+      
+    } catch (error) {
+      Logger.error('Failed to handle show command', error);
+      await this.commandSystem.say(`❌ Show failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle !vs <channelA> <channelB> - race two channels on the versus widgets
+   */
+  async handleVersus(args) {
+    this.isProcessing = true;
+    
+    try {
+      const layout = this.minecraftRenderer.layout;
+      const { args: channelArgs, flags } = this.parseFlags(args, IMAGE_VALUE_FLAGS);
+
+      if ((channelArgs[0] || '').toLowerCase() === 'off') {
+        if (!this.versus.sides) {
+          await this.commandSystem.say('❌ No race is running.');
+          return;
+        }
+        await this.stopVersus();
+        await this.minecraftRenderer.clearVersus();
+        await this.commandSystem.say('⏹️ Race stopped');
+        return;
+      }
+
+      if (channelArgs.length !== 2) {
+        await this.commandSystem.say('❓ Usage: !vs <channelA> <channelB> [--dither <mode>] [--circle] | !vs off');
+        return;
+      }
+
+      if (layout.getVersusAreas().length === 0) {
+        await this.commandSystem.say('❌ The board layout has no race widgets (see the versus board in config.js).');
+        return;
+      }
+
+      const { imageOptions, error: optionsError } = this.parseImageOptions(flags);
+      if (optionsError) {
+        await this.commandSystem.say(`❌ ${optionsError}`);
+        return;
+      }
+
+      await this.commandSystem.say('🔍 Fetching both channels...');
+      const results = await Promise.all(channelArgs.map(input => YouTubeService.getChannelData(input)));
+      
+      const failed = results.findIndex(result => !result.success);
+      if (failed !== -1) {
+        await this.commandSystem.say(`❌ Failed to fetch ${channelArgs[failed]}: ${results[failed].error}`);
+        return;
+      }
+
+      const sides = [];
+      for (const [index, channelData] of results.entries()) {
+        const avatar = layout.getAreas('avatar', ['a', 'b'][index])[0];
+        let profileImage = null;
+        
+        if (channelData.profileImageUrl && avatar) {
+          try {
+            const image = await this.imageProcessor.downloadAndProcessImage(channelData.profileImageUrl, {
+              width: avatar.width,
+              height: avatar.height
+            });
+            profileImage = await this.imageProcessor.generateBlockData(image, imageOptions);
+          } catch (error) {
+            Logger.warn(`Failed to process profile image for ${channelData.channelName}`, error);
+          }
+        }
+        
+        sides.push({ channelData, profileImage });
+      }
+
+      // A new race replaces the old one
+      await this.stopVersus();
+      this.versus.sides = sides;
+      this.versus.leader = this.getVersusLeader(sides);
+
+      await this.commandSystem.say('🎮 Rendering race...');
+      await this.renderVersus();
+
+      const [a, b] = sides.map(side => side.channelData);
+      await this.commandSystem.say(`⚔️ ${a.channelName} (${YouTubeService.formatSubscriberCount(a.subscriberCount)}) vs ${b.channelName} (${YouTubeService.formatSubscriberCount(b.subscriberCount)})`);
+
+      this.versus.intervalId = setInterval(async () => {
+        await this.checkVersusUpdates();
+      }, config.liveUpdates.interval);
+
+      // Same limit as live updates
+      this.versus.timeoutId = setTimeout(async () => {
+        try {
+          await this.stopVersus();
+          await this.commandSystem.say('⏰ Race updates stopped automatically after 5 minutes');
+        } catch (error) {
+          Logger.error('Failed to stop race updates automatically', error);
+        }
+      }, config.liveUpdates.maxDuration);
+      
+    } catch (error) {
+      Logger.error('Failed to handle vs command', error);
+      await this.commandSystem.say(`❌ Race failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Draw the race as it stands
+   */
+  async renderVersus() {
+    await this.minecraftRenderer.renderVersus(this.versus.sides.map(({ channelData, profileImage }) => ({
+      channelName: channelData.channelName,
+      subscriberCount: channelData.subscriberCount,
+      profileImage
+    })));
+  }
+
+  /**
+   * Index of the side ahead, or null on a tie
+   */
+  getVersusLeader(sides) {
+    const [a, b] = sides.map(side => parseInt(side.channelData.subscriberCount, 10));
+    if (a === b) {
+      return null;
+    }
+    return a > b ? 0 : 1;
+  }
+
+  /**
+   * Refresh both counts and the gap, announcing when the lead changes
+   * A tie keeps the previous leader, so A -> tie -> A stays quiet
+   */
+  async checkVersusUpdates() {
+    if (!this.versus.sides || this.versus.checking) {
+      return;
+    }
+    this.versus.checking = true;
+
+    try {
+      const results = await Promise.all(this.versus.sides.map(side => 
+        YouTubeService.fetchChannelDataDirect(side.channelData.channelId)
+      ));
+      
+      // The race may have been stopped while fetching
+      if (!this.versus.sides) {
+        return;
+      }
+      if (results.some(result => !result.success)) {
+        Logger.warn('Failed to fetch race update data');
+        return;
+      }
+
+      const changed = results.some((result, index) => 
+        result.subscriberCount !== this.versus.sides[index].channelData.subscriberCount
+      );
+      if (!changed) {
+        return;
+      }
+
+      results.forEach((result, index) => {
+        this.versus.sides[index].channelData.subscriberCount = result.subscriberCount;
+      });
+      await this.renderVersus();
+
+      const leader = this.getVersusLeader(this.versus.sides);
+      if (leader !== null && leader !== this.versus.leader) {
+        const [ahead, behind] = leader === 0 ? this.versus.sides : [...this.versus.sides].reverse();
+        await this.commandSystem.say(`🔀 ${ahead.channelData.channelName} takes the lead over ${behind.channelData.channelName}!`, { broadcast: true });
+      }
+      if (leader !== null) {
+        this.versus.leader = leader;
+      }
+      
+    } catch (error) {
+      Logger.error('Failed to check for race updates', error);
+    } finally {
+      this.versus.checking = false;
+    }
+  }
+
+  /**
+   * Stop refreshing the race and forget it (the widgets stay as they are)
+   */
+  async stopVersus() {
+    if (this.versus.intervalId) {
+      clearInterval(this.versus.intervalId);
+    }
+    if (this.versus.timeoutId) {
+      clearTimeout(this.versus.timeoutId);
+    }
+    this.versus = { sides: null, leader: null, intervalId: null, timeoutId: null, checking: false };
+  }
+
+  /**
+   * Send the current channel and count to the !show outputs
+   * The progress bar fills towards the !goal, or the next milestone without one
+   */
+  async updateOutputs() {
+    const channelData = this.liveUpdates.channelData;
+    if (!channelData) {
+      return;
+    }
+
+    await this.outputTargets.update({
+      channelName: channelData.channelName,
+      subscriberCount: channelData.subscriberCount,
+      target: this.goal.target || this.getNextMilestone(channelData.subscriberCount)
+    });
+  }
+
   /**
    * Handle channel search command
    */
@@ -360,12 +1064,17 @@ class CommandHandler {
         await this.handleStopLiveUpdates();
       }
       
+      await this.animationPlayer.unload();
+      await this.stopVersus();
+      this.stopLeaderboard();
       await this.minecraftRenderer.clearAll();
       await this.commandSystem.say('✅ All displays cleared!');
       
       // Reset channel data
       this.liveUpdates.channelData = null;
       this.liveUpdates.lastSubscriberCount = null;
+      this.goal = { target: null, reached: false };
+      await this.outputTargets.reset();
       
     } catch (error) {
       Logger.error('Failed to clear displays', error);
@@ -375,6 +1084,179 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Handle palette selection command
+   */
+  async handlePalette(args) {
+    try {
+      const paletteNames = this.imageProcessor.paletteManager.getNames();
+
+      if (args.length === 0) {
+        await this.commandSystem.say(`🎨 Current palette: ${this.imageProcessor.paletteName} (${this.imageProcessor.palette.length} blocks)`);
+        await this.commandSystem.say(`📋 Available: ${paletteNames.join(', ')}`);
+        return;
+      }
+
+      const paletteName = args[0].toLowerCase();
+
+      if (!paletteNames.includes(paletteName)) {
+        await this.commandSystem.say(`❌ Unknown palette: ${paletteName}. Available: ${paletteNames.join(', ')}`);
+        return;
+      }
+
+      this.imageProcessor.setPalette(paletteName);
+      await this.commandSystem.say(`🎨 Palette set to ${paletteName} (${this.imageProcessor.palette.length} blocks) - applies to the next render`);
+      
+    } catch (error) {
+      Logger.error('Failed to handle palette command', error);
+      await this.commandSystem.say(`❌ Palette change failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle !font - change the block and scale of font text
+   */
+  async handleFont(args) {
+    this.isProcessing = true;
+    
+    try {
+      const style = this.minecraftRenderer.textStyle;
+
+      if (args.length === 0) {
+        await this.commandSystem.say(`🔤 Font: ${style.block}, scale ${style.scale}`);
+        await this.commandSystem.say(`❓ Usage: !font <block:data> [1-${config.font.maxScale}]`);
+        return;
+      }
+
+      const block = args[0].replace(':', ' ');
+      if (!this.imageProcessor.paletteManager.findBlock(block)) {
+        await this.commandSystem.say(`❌ Unknown block: ${args[0]} (use block:data, e.g. concrete:15)`);
+        return;
+      }
+
+      const scale = args[1] ? parseInt(args[1], 10) : style.scale;
+      if (!(scale >= 1 && scale <= config.font.maxScale)) {
+        await this.commandSystem.say(`❌ Scale must be between 1 and ${config.font.maxScale}.`);
+        return;
+      }
+
+      this.minecraftRenderer.setTextStyle({ block, scale });
+      await this.commandSystem.say(`🔤 Font set to ${block}, scale ${scale}`);
+
+      // Redraw the counter that is on display in the new style
+      const channelData = this.liveUpdates.channelData;
+      if (channelData) {
+        await this.minecraftRenderer.smartRenderSubscriberCount(channelData.subscriberCount);
+      }
+      
+    } catch (error) {
+      Logger.error('Failed to handle font command', error);
+      await this.commandSystem.say(`❌ Font change failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Handle !format [board] <full|comma|short> - how counters write the count
+   */
+  async handleFormat(args) {
+    this.isProcessing = true;
+    
+    try {
+      const layout = this.minecraftRenderer.layout;
+      const formats = MinecraftRenderer.counterFormats;
+      const [boardName, formatArg] = args.length > 1 ? args : [null, args[0]];
+      const format = FORMAT_ALIASES[(formatArg || '').toLowerCase()] || (formatArg || '').toLowerCase();
+
+      if (!formatArg) {
+        const current = layout.getAreas('counter')
+          .map(area => `${area.board}: ${this.minecraftRenderer.getCounterFormat(area)}`);
+        await this.commandSystem.say(`🔢 Counter formats: ${current.join(', ') || 'no counters'}`);
+        await this.commandSystem.say('❓ Usage: !format [board] <full|comma|short>');
+        return;
+      }
+
+      if (boardName && !layout.hasBoard(boardName)) {
+        await this.commandSystem.say(`❌ Unknown board: ${boardName}. Available: ${layout.getBoardNames().join(', ')}`);
+        return;
+      }
+
+      if (!formats.includes(format)) {
+        await this.commandSystem.say(`❌ Unknown format: ${formatArg}. Use full, comma or short.`);
+        return;
+      }
+
+      await this.minecraftRenderer.setCounterFormat(boardName, format);
+      await this.commandSystem.say(`🔢 Counter format for ${boardName || 'all boards'}: ${format} (e.g. ${FORMAT_EXAMPLES[format]})`);
+      
+    } catch (error) {
+      Logger.error('Failed to handle format command', error);
+      await this.commandSystem.say(`❌ Format change failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Handle !place <board> here - move a board to where the sender stands
+   */
+  async handlePlace(args, sender) {
+    this.isProcessing = true;
+    
+    try {
+      const layout = this.minecraftRenderer.layout;
+      const [boardName, where, orientationArg] = args;
+
+      if (!boardName || (where || '').toLowerCase() !== 'here') {
+        await this.commandSystem.say(`❓ Usage: !place <board> here [${BoardLayout.orientations.join('|')}] (boards: ${layout.getBoardNames().join(', ')})`);
+        return;
+      }
+
+      if (!layout.hasBoard(boardName)) {
+        await this.commandSystem.say(`❌ Unknown board: ${boardName}. Available: ${layout.getBoardNames().join(', ')}`);
+        return;
+      }
+
+      const orientation = (orientationArg || layout.boards[boardName].orientation || 'floor').toLowerCase();
+      if (!BoardLayout.orientations.includes(orientation)) {
+        await this.commandSystem.say(`❌ Unknown orientation. Available: ${BoardLayout.orientations.join(', ')}`);
+        return;
+      }
+
+      if (!sender) {
+        await this.commandSystem.say('❌ Could not tell who sent the command.');
+        return;
+      }
+
+      const player = await this.commandSystem.queryTarget(CommandSystem.playerSelector(sender));
+      if (!player) {
+        await this.commandSystem.say(`❌ Could not find ${sender} in the world.`);
+        return;
+      }
+
+      const placement = layout.getPlacementAt(boardName, player, orientation);
+
+      // Take the board down where it is now, then draw what was on it in the new spot
+      await this.minecraftRenderer.clearBoard(boardName);
+      layout.setPlacement(boardName, placement);
+      if (this.placementStore) {
+        await this.placementStore.save(layout.getPlacements());
+      }
+
+      const { x, y, z } = placement.origin;
+      await this.commandSystem.say(`📍 Board ${boardName} placed at ${x} ${y} ${z} (${orientation}, facing ${placement.facing})`);
+      
+      await this.minecraftRenderer.redraw();
+      
+    } catch (error) {
+      Logger.error('Failed to handle place command', error);
+      await this.commandSystem.say(`❌ Place failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
   /**
    * Handle reload command (clear caches, etc.)
    */
@@ -387,16 +1269,19 @@ class CommandHandler {
         await this.handleStopLiveUpdates();
       }
       
+      await this.animationPlayer.unload();
+      await this.stopVersus();
+      this.stopLeaderboard();
+      
       // Clear caches
       this.imageProcessor.clearCache();
       this.commandSystem.clearQueue();
       
-      // Cleanup temp files
-      await this.imageProcessor.cleanup();
-      
       // Reset live updates state
       this.liveUpdates.channelData = null;
       this.liveUpdates.lastSubscriberCount = null;
+      this.goal = { target: null, reached: false };
+      await this.outputTargets.reset();
       
       await this.commandSystem.say('✅ Bot reloaded successfully!');
       
@@ -454,27 +1339,143 @@ class CommandHandler {
   }
 
   /**
-   * Handle top channels command (mock data for now)
+   * Handle !top [ch1,ch2,...] - rank the tracked channels (config.leaderboard.channels,
+   * or the given list) on the leaderboard wall and keep refreshing them
    */
-  async handleTopChannels() {
-    const topChannels = [
-      { name: 'T-Series', subs: '245000000' },
-      { name: 'YouTube Movies', subs: '173000000' },
-      { name: 'Cocomelon', subs: '172000000' },
-      { name: 'SET India', subs: '171000000' },
-      { name: 'MrBeast', subs: '112000000' }
-    ];
-
-    await this.commandSystem.say('🏆 Top 5 YouTube Channels:');
+  async handleTopChannels(args) {
+    this.isProcessing = true;
     
-    for (let i = 0; i < topChannels.length; i++) {
-      const channel = topChannels[i];
-      const formatted = YouTubeService.formatSubscriberCount(channel.subs);
-      await this.commandSystem.say(`${i + 1}. ${channel.name}: ${formatted} subs`);
-      await this.commandSystem.sleep(500);
+    try {
+      if ((args[0] || '').toLowerCase() === 'off') {
+        if (!this.leaderboard.channels) {
+          await this.commandSystem.say('❌ No leaderboard is shown.');
+          return;
+        }
+        this.stopLeaderboard();
+        await this.minecraftRenderer.clearLeaderboard();
+        await this.commandSystem.say('⏹️ Leaderboard stopped');
+        return;
+      }
+
+      if (!this.minecraftRenderer.layout.getArea('leaderboard')) {
+        await this.commandSystem.say('❌ The board layout has no leaderboard widget.');
+        return;
+      }
+
+      const inputs = args.length > 0
+        ? args.join(' ').split(',').map(channel => channel.trim()).filter(Boolean)
+        : config.leaderboard.channels;
+
+      if (inputs.length === 0) {
+        await this.commandSystem.say('❓ Usage: !top [channel1,channel2,...] (or list channels in config.leaderboard) | !top off');
+        return;
+      }
+
+      await this.commandSystem.say(`🔍 Fetching ${inputs.length} channels...`);
+
+      // One at a time, to go easy on the API
+      const channels = [];
+      for (const input of inputs) {
+        const channelData = await YouTubeService.getChannelData(input);
+        if (channelData.success) {
+          channels.push(channelData);
+        } else {
+          await this.commandSystem.say(`⚠️ Skipping ${input}: ${channelData.error}`);
+        }
+      }
+
+      if (channels.length === 0) {
+        await this.commandSystem.say('❌ None of the channels could be fetched.');
+        return;
+      }
+
+      this.stopLeaderboard();
+      this.leaderboard.channels = this.rankChannels(channels);
+      await this.renderLeaderboard();
+
+      await this.commandSystem.say(`🏆 Top ${Math.min(5, channels.length)} of ${channels.length}:`);
+      for (const [index, channel] of this.leaderboard.channels.slice(0, 5).entries()) {
+        await this.commandSystem.say(`${index + 1}. ${channel.channelName}: ${YouTubeService.formatSubscriberCount(channel.subscriberCount)} subs`);
+      }
+
+      this.leaderboard.intervalId = setInterval(async () => {
+        await this.refreshLeaderboard();
+      }, config.leaderboard.refreshInterval);
+      
+    } catch (error) {
+      Logger.error('Failed to handle top command', error);
+      await this.commandSystem.say(`❌ Leaderboard failed: ${error.message}`);
+    } finally {
+      this.isProcessing = false;
     }
   }
 
+  /**
+   * Sort channels by subscriber count, highest first
+   */
+  rankChannels(channels) {
+    return [...channels].sort((a, b) => parseInt(b.subscriberCount, 10) - parseInt(a.subscriberCount, 10));
+  }
+
+  /**
+   * Draw the leaderboard as it stands
+   */
+  async renderLeaderboard() {
+    await this.minecraftRenderer.renderLeaderboard(this.leaderboard.channels.map(channel => ({
+      channelName: channel.channelName,
+      subscriberCount: channel.subscriberCount
+    })));
+  }
+
+  /**
+   * Fetch every ranked channel again and re-rank them
+   * A channel that fails to fetch keeps its last count
+   */
+  async refreshLeaderboard() {
+    if (!this.leaderboard.channels || this.leaderboard.refreshing) {
+      return;
+    }
+    this.leaderboard.refreshing = true;
+
+    try {
+      const channels = this.leaderboard.channels;
+      for (const channel of channels) {
+        const channelData = await YouTubeService.fetchChannelDataDirect(channel.channelId);
+        if (channelData.success) {
+          channel.subscriberCount = channelData.subscriberCount;
+        }
+      }
+
+      // The leaderboard may have been stopped while fetching
+      if (this.leaderboard.channels !== channels) {
+        return;
+      }
+
+      const previousOrder = channels.map(channel => channel.channelId).join();
+      this.leaderboard.channels = this.rankChannels(channels);
+      if (this.leaderboard.channels.map(channel => channel.channelId).join() !== previousOrder) {
+        Logger.info('Leaderboard positions changed');
+      }
+
+      await this.renderLeaderboard();
+      
+    } catch (error) {
+      Logger.error('Failed to refresh leaderboard', error);
+    } finally {
+      this.leaderboard.refreshing = false;
+    }
+  }
+
+  /**
+   * Stop refreshing the leaderboard and forget it (the wall stays as it is)
+   */
+  stopLeaderboard() {
+    if (this.leaderboard.intervalId) {
+      clearInterval(this.leaderboard.intervalId);
+    }
+    this.leaderboard = { channels: null, intervalId: null, refreshing: false };
+  }
+
   /**
    * Handle stats command
    */
@@ -482,7 +1483,7 @@ class CommandHandler {
     const stats = {
       uptime: Math.floor(process.uptime()),
       memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-      queueLength: this.commandSystem.commandQueue.length,
+      flow: this.commandSystem.getFlowStats(),
       cacheSize: this.imageProcessor.colorCache?.size || 0
     };
 
@@ -492,7 +1493,10 @@ class CommandHandler {
     await this.commandSystem.say('📈 Bot Statistics:');
     await this.commandSystem.say(`⏱️ Uptime: ${uptimeHours}h ${uptimeMinutes}m`);
     await this.commandSystem.say(`🧠 Memory: ${stats.memory}MB`);
-    await this.commandSystem.say(`📋 Queue: ${stats.queueLength} commands`);
+    await this.commandSystem.say(`📋 Queue: ${stats.flow.queued} commands (${stats.flow.inFlight} in flight, window ${stats.flow.window})`);
+    if (stats.flow.averageLatency !== null) {
+      await this.commandSystem.say(`📶 Command latency: ${stats.flow.averageLatency}ms`);
+    }
     await this.commandSystem.say(`🎨 Cache: ${stats.cacheSize} colors`);
     
     if (this.liveUpdates.enabled) {
@@ -506,9 +1510,11 @@ class CommandHandler {
    */
   getAvailableCommands() {
     return [
-      { command: '!subs <channel>', description: 'Display subscriber count and profile image' },
+      { command: '!subs <channel> [--dither <mode>] [--circle] [--bg <block:data>]', description: 'Display subscriber count and profile image' },
       { command: '!info <channel>', description: 'Get channel information only' },
       { command: '!search <term>', description: 'Search for YouTube channels' },
+      { command: '!image <url> [width] [height] [--fit <mode>]', description: 'Render any picture (or animated GIF/WebP) as pixel art' },
+      { command: '!anim stop|play|loop on/off|fps <n>', description: 'Control animation playback' },
       { command: '!live', description: 'Enable live subscriber count updates' },
       { command: '!stop', description: 'Stop live updates' },
       { command: '!clear', description: 'Clear all displays' },
@@ -516,7 +1522,14 @@ class CommandHandler {
       { command: '!status', description: 'Show bot status' },
       { command: '!stats', description: 'Show detailed bot statistics' },
       { command: '!reload', description: 'Reload bot systems' },
-      { command: '!top', description: 'Show top YouTube channels' },
+      { command: '!palette [name]', description: 'Show or switch the block palette' },
+      { command: '!font [block:data] [scale]', description: 'Change the block and size of font text' },
+      { command: '!format [board] <full|comma|short>', description: 'Show the count in full, with separators or abbreviated' },
+      { command: '!place <board> here [floor|wall|ceiling]', description: 'Move a board to where you stand' },
+      { command: '!goal <number>|off', description: 'Show a progress bar towards a subscriber goal' },
+      { command: '!vs <channelA> <channelB>|off', description: 'Race two channels side by side with the live gap' },
+      { command: '!show <sidebar|actionbar|progress> on|off', description: 'Show the count on the sidebar or actionbar' },
+      { command: '!top [ch1,ch2,...]|off', description: 'Rank tracked channels on the leaderboard wall' },
       { command: '!batch <ch1,ch2,...>', description: 'Process multiple channels (max 5)' }
     ];
   }
@@ -548,6 +1561,9 @@ class CommandHandler {
    * Cleanup method to stop live updates when bot shuts down
    */
   cleanup() {
+    this.animationPlayer.isPlaying = false;
+    this.commandSystem.cancelPending();
+    
     if (this.liveUpdates.enabled) {
       this.liveUpdates.enabled = false;
       if (this.liveUpdates.intervalId) {
@@ -555,6 +1571,9 @@ class CommandHandler {
         this.liveUpdates.intervalId = null;
       }
     }
+    
+    this.stopVersus();
+    this.stopLeaderboard();
   }
 }
 
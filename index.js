@@ -1,6 +1,5 @@
 const WebSocket = require('ws');
 const uuid = require('uuid');
-const fs = require('fs').promises;
 const path = require('path');
 
 // Import our modules
@@ -8,6 +7,9 @@ const config = require('./config');
 const Logger = require('./utils/logger');
 const CommandSystem = require('./utils/commandSystem');
 const ImageProcessor = require('./utils/imageProcessor');
+const PaletteManager = require('./utils/paletteManager');
+const BoardLayout = require('./utils/boardLayout');
+const PlacementStore = require('./utils/placementStore');
 const YouTubeService = require('./services/youtubeService');
 const MinecraftRenderer = require('./services/minecraftRenderer');
 const CommandHandler = require('./handlers/commandHandler');
@@ -15,7 +17,7 @@ const CommandHandler = require('./handlers/commandHandler');
 class MinecraftYouTubeBot {
   constructor() {
     this.wss = null;
-    this.woolColors = null;
+    this.paletteManager = null;
     this.connectedClients = new Set();
     this.commandHandlers = new Map(); // Store command handlers for cleanup
   }
@@ -27,8 +29,11 @@ class MinecraftYouTubeBot {
     try {
       Logger.info('Initializing Minecraft YouTube Bot...');
       
-      // Load wool colors
-      await this.loadWoolColors();
+      // Load block palettes
+      await this.loadPalettes();
+      
+      // Resolve the display boards (fails early on a broken layout)
+      this.checkLayout();
       
       // Create WebSocket server
       this.createWebSocketServer();
@@ -45,21 +50,57 @@ class MinecraftYouTubeBot {
   }
 
   /**
-   * Load wool colors configuration
+   * Load block palette definitions
    */
-  async loadWoolColors() {
+  async loadPalettes() {
     try {
-      const woolColorsPath = path.join(__dirname, 'woolColors.json');
-      const woolColorsData = await fs.readFile(woolColorsPath, 'utf8');
-      this.woolColors = JSON.parse(woolColorsData);
+      this.paletteManager = new PaletteManager(path.join(__dirname, config.palettes.directory));
+      await this.paletteManager.load();
       
-      Logger.success(`Loaded ${this.woolColors.length} wool colors`);
+      if (!this.paletteManager.has(config.palettes.default)) {
+        throw new Error(`Default palette ${config.palettes.default} is not defined`);
+      }
+    } catch (error) {
+      Logger.error('Failed to load palettes', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the board layout once, so a broken one fails at startup - every
+   * connection then builds its own from config.boards
+   */
+  checkLayout() {
+    try {
+      new BoardLayout(config.boards).describe();
     } catch (error) {
-      Logger.error('Failed to load wool colors', error);
+      Logger.error('Failed to load board layout', error);
       throw error;
     }
   }
 
+  /**
+   * World a connection belongs to, from the path it connected with
+   * (/connect localhost:3000/survival -> survival), or null for none
+   */
+  getWorldName(request) {
+    const name = new URL(request.url || '/', 'ws://localhost').pathname
+      .replace(/^\/+|\/+$/g, '')
+      .replace(/[^\w-]/g, '_');
+    return name || null;
+  }
+
+  /**
+   * Move a connection's boards to where !place last put them in its world
+   */
+  async loadPlacements(layout, placementStore) {
+    try {
+      layout.applyPlacements(await placementStore.load());
+    } catch (error) {
+      Logger.warn('Failed to load board placements, using the configured positions', error);
+    }
+  }
+
   /**
    * Create and configure WebSocket server
    */
@@ -85,24 +126,33 @@ class MinecraftYouTubeBot {
     const clientId = uuid.v4();
     this.connectedClients.add(socket);
     
-    Logger.success(`Client connected: ${clientId} (${request.socket.remoteAddress})`);
+    const world = this.getWorldName(request);
+    
+    Logger.success(`Client connected: ${clientId} (${request.socket.remoteAddress}${world ? `, world ${world}` : ''})`);
     Logger.info(`Total connections: ${this.connectedClients.size}`);
 
-    // Initialize client systems
+    // Initialize client systems - boards are moved with !place per world, so
+    // every connection has its own layout and placements file
     const commandSystem = new CommandSystem(socket);
-    const imageProcessor = new ImageProcessor(this.woolColors);
-    const minecraftRenderer = new MinecraftRenderer(commandSystem);
-    const commandHandler = new CommandHandler(commandSystem, imageProcessor, minecraftRenderer);
+    const imageProcessor = new ImageProcessor(this.paletteManager);
+    const layout = new BoardLayout(config.boards);
+    const placementStore = new PlacementStore(PlacementStore.getWorldFile(path.join(__dirname, config.placements.file), world));
+    const minecraftRenderer = new MinecraftRenderer(commandSystem, layout);
+    const commandHandler = new CommandHandler(commandSystem, imageProcessor, minecraftRenderer, placementStore);
 
     // Store command handler for cleanup
     this.commandHandlers.set(socket, commandHandler);
 
-    // Subscribe to player messages
-    this.subscribeToPlayerMessages(socket);
+    // Subscribe to player messages once the boards are where this world left them
+    this.loadPlacements(layout, placementStore).then(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        this.subscribeToPlayerMessages(socket);
+      }
+    });
 
     // Handle incoming messages
     socket.on('message', async (data) => {
-      await this.handleMessage(data, commandHandler);
+      await this.handleMessage(data, commandHandler, commandSystem);
     });
 
     // Handle disconnection
@@ -134,8 +184,12 @@ class MinecraftYouTubeBot {
 
     // Send welcome message
     setTimeout(async () => {
-      await commandSystem.say('🤖 YouTube Bot connected! Use !help for commands.');
-      await commandSystem.say('💡 New: Search channels with !search, live updates with !live!');
+      try {
+        await commandSystem.say('🤖 YouTube Bot connected! Use !help for commands.');
+        await commandSystem.say('💡 New: Search channels with !search, live updates with !live!');
+      } catch (error) {
+        Logger.warn('Failed to send welcome message', error);
+      }
     }, 1000);
   }
 
@@ -162,18 +216,28 @@ class MinecraftYouTubeBot {
   /**
    * Handle incoming WebSocket messages
    */
-  async handleMessage(data, commandHandler) {
+  async handleMessage(data, commandHandler, commandSystem) {
     try {
       const message = JSON.parse(data.toString());
       
-      // Handle player messages
+      // Handle responses to commands we sent
+      if (message.header?.messagePurpose === 'commandResponse') {
+        commandSystem.handleCommandResponse(message);
+        return;
+      }
+      
+      // Handle player messages - only chat typed by players, as the bot's own
+      // tellraw replies (e.g. help lines starting with !) come back as events too
       if (message.header?.eventName === 'PlayerMessage') {
         const playerMessage = message.body?.message;
         const playerName = message.body?.sender || 'Unknown';
+        const type = message.body?.type;
         
-        if (playerMessage) {
+        if (playerMessage && (!type || type === 'chat')) {
           Logger.info(`Player message from ${playerName}: ${playerMessage}`);
-          await commandHandler.handleMessage(playerMessage);
+          await commandSystem.replyTo(message.body?.sender || null, () => 
+            commandHandler.handleMessage(playerMessage, message.body?.sender)
+          );
         }
       }
       
@@ -224,7 +288,7 @@ class MinecraftYouTubeBot {
     
     return {
       connections: this.connectedClients.size,
-      woolColors: this.woolColors?.length || 0,
+      palettes: this.paletteManager?.getNames().length || 0,
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       liveUpdatesActive: liveUpdatesActive
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+
+// Textures that are usually not full, opaque cubes - override with --exclude ""
+// Words only match whole parts of a name (bed_feet_top, not bedrock)
+const DEFAULT_EXCLUDE = '(^|_)(door|trapdoor|sapling|flower|rail|torch|glass|leaves|fence|pane|ladder|vine|lever|button|plate|carpet|slab|stairs|wall|bed|crop|stage|destroy)(_|$)';
+
+const USAGE = `Usage: npm run palette -- --input <texture folder> [options]
+
+Options:
+  --input <dir>        Folder of block texture PNGs (searched recursively)
+  --output <file>      Palette file to write (default: palettes/custom.json)
+  --mode <mode>        average | dominant (default: average)
+  --include <regex>    Only use textures whose name matches
+  --exclude <regex>    Skip textures whose name matches (default skips doors, glass, plants, ...)
+  --min-alpha <0-255>  Skip textures with any pixel less opaque than this (default: 255)
+  --map <file>         JSON mapping texture names to blocks, e.g. { "wool_colored_red": "wool 14" }
+  --use-texture-names  Use texture names as block names for textures missing from --map
+                       (skipped otherwise, as most are not Bedrock block names)
+  --category <name>    Category stored with every block (default: custom)`;
+
+// Options that take no value
+const FLAGS = ['help', 'useTextureNames'];
+
+/**
+ * Parse --name value pairs (and --flag switches) from the command line
+ */
+function parseArgs(argv) {
+  const options = {
+    output: path.join(__dirname, '..', 'palettes', 'custom.json'),
+    mode: 'average',
+    exclude: DEFAULT_EXCLUDE,
+    minAlpha: 255,
+    category: 'custom'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const name = arg.substring(2).replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    if (i + 1 >= argv.length) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    options[name] = argv[++i];
+  }
+
+  options.minAlpha = Number(options.minAlpha);
+  return options;
+}
+
+/**
+ * Recursively list PNG files in a folder
+ */
+async function findTextures(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findTextures(fullPath));
+    } else if (entry.name.toLowerCase().endsWith('.png')) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Load a texture as RGBA pixels, keeping only the first frame of animated strips
+ */
+async function loadTexture(file) {
+  const metadata = await sharp(file).metadata();
+  let image = sharp(file).ensureAlpha();
+
+  if (metadata.height > metadata.width && metadata.height % metadata.width === 0) {
+    image = image.extract({ left: 0, top: 0, width: metadata.width, height: metadata.width });
+  }
+
+  return image.raw().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Mean colour of all pixels
+ */
+function averageColor(data, pixelCount) {
+  const sum = [0, 0, 0];
+  for (let i = 0; i < pixelCount; i++) {
+    sum[0] += data[i * 4];
+    sum[1] += data[i * 4 + 1];
+    sum[2] += data[i * 4 + 2];
+  }
+  return sum.map(value => Math.round(value / pixelCount));
+}
+
+/**
+ * Mean colour of the most common colour bucket (4 bits per channel)
+ */
+function dominantColor(data, pixelCount) {
+  const buckets = new Map();
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    bucket.sum[0] += r;
+    bucket.sum[1] += g;
+    bucket.sum[2] += b;
+    buckets.set(key, bucket);
+  }
+
+  let best = null;
+  buckets.forEach(bucket => {
+    if (!best || bucket.count > best.count) best = bucket;
+  });
+
+  return best.sum.map(value => Math.round(value / best.count));
+}
+
+/**
+ * Build a palette entry for a texture, or null if it should be skipped
+ */
+async function processTexture(file, options, blockMap) {
+  const textureName = path.basename(file, path.extname(file));
+
+  if (options.include && !new RegExp(options.include).test(textureName)) return null;
+  if (options.exclude && new RegExp(options.exclude).test(textureName)) return null;
+
+  if (!blockMap[textureName] && !options.useTextureNames) {
+    Logger.warn(`Skipping ${textureName}: not in --map (or pass --use-texture-names)`);
+    return null;
+  }
+
+  const { data, info } = await loadTexture(file);
+  const pixelCount = info.width * info.height;
+
+  for (let i = 0; i < pixelCount; i++) {
+    if (data[i * 4 + 3] < options.minAlpha) {
+      Logger.debug(`Skipping ${textureName}: transparent pixels`);
+      return null;
+    }
+  }
+
+  const rgb = options.mode === 'dominant'
+    ? dominantColor(data, pixelCount)
+    : averageColor(data, pixelCount);
+
+  const blockName = blockMap[textureName] || `${textureName} 0`;
+  const [id, dataValue] = blockName.split(' ');
+
+  return {
+    name: blockName,
+    id,
+    data: Number(dataValue || 0),
+    category: options.category,
+    rgb: rgb.join(', '),
+    texture: textureName
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !options.input) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (!['average', 'dominant'].includes(options.mode)) {
+    throw new Error(`Unknown mode: ${options.mode} (use average or dominant)`);
+  }
+
+  const blockMap = options.map ? JSON.parse(await fs.readFile(options.map, 'utf8')) : {};
+  const textures = await findTextures(options.input);
+  Logger.info(`Found ${textures.length} textures in ${options.input}`);
+
+  const palette = [];
+  const seen = new Set();
+
+  for (const file of textures) {
+    try {
+      const entry = await processTexture(file, options, blockMap);
+      if (!entry || seen.has(entry.name)) continue;
+
+      seen.add(entry.name);
+      palette.push(entry);
+    } catch (error) {
+      Logger.warn(`Failed to read ${file}: ${error.message}`);
+    }
+  }
+
+  if (palette.length === 0) {
+    throw new Error('No usable textures found - check --include/--exclude and --min-alpha');
+  }
+
+  palette.sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+  await fs.mkdir(path.dirname(options.output), { recursive: true });
+  await fs.writeFile(options.output, JSON.stringify(palette, null, 4) + '\n');
+
+  Logger.success(`Wrote ${palette.length} blocks (${options.mode} colour) to ${options.output}`);
+}
+
+main().catch(error => {
+  Logger.error('Failed to generate palette', error);
+  process.exit(1);
+});
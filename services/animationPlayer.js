@@ -0,0 +1,106 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+
+class AnimationPlayer {
+  constructor(minecraftRenderer) {
+    this.minecraftRenderer = minecraftRenderer;
+    this.frames = [];
+    this.delays = [];
+    this.fps = config.animation.fps;
+    this.loop = config.animation.loop;
+    this.isPlaying = false;
+    this.playback = null; // Promise of the running playback loop
+    this.onError = null;  // Called with the error if playback stops because a frame failed
+  }
+
+  /**
+   * Load frames to play
+   * @param {Object[][]} frames - Block data for every frame
+   * @param {number[]} delays - Delay after each frame in ms (from the file)
+   */
+  async load(frames, delays) {
+    await this.stop();
+    this.frames = frames;
+    this.delays = delays;
+    Logger.info(`Loaded animation with ${frames.length} frames`);
+  }
+
+  /**
+   * Check whether an animation is loaded
+   */
+  hasAnimation() {
+    return this.frames.length > 0;
+  }
+
+  /**
+   * Start playback (does nothing if already playing)
+   */
+  play() {
+    if (this.isPlaying || !this.hasAnimation()) return;
+
+    this.isPlaying = true;
+    this.playback = this.run();
+  }
+
+  /**
+   * Stop playback and wait for the frame being drawn to finish
+   */
+  async stop() {
+    this.isPlaying = false;
+    if (this.playback) {
+      await this.playback;
+      this.playback = null;
+    }
+  }
+
+  /**
+   * Forget the loaded animation
+   */
+  async unload() {
+    await this.stop();
+    this.frames = [];
+    this.delays = [];
+  }
+
+  /**
+   * Time a frame stays on screen
+   */
+  getFrameTime(index) {
+    const frameTime = this.fps ? 1000 / this.fps : this.delays[index];
+    return Math.max(config.animation.minFrameTime, frameTime || 0);
+  }
+
+  /**
+   * Playback loop - each frame only sends the pixels that differ from the previous
+   * one, and the next frame waits until the current one has been placed
+   */
+  async run() {
+    let index = 0;
+
+    try {
+      while (this.isPlaying) {
+        const frameStart = Date.now();
+        await this.minecraftRenderer.renderImage(this.frames[index]);
+
+        const elapsed = Date.now() - frameStart;
+        const wait = this.getFrameTime(index) - elapsed;
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        index++;
+        if (index >= this.frames.length) {
+          if (!this.loop) break;
+          index = 0;
+        }
+      }
+    } catch (error) {
+      Logger.error('Animation playback failed', error);
+      if (this.onError) this.onError(error);
+    } finally {
+      this.isPlaying = false;
+    }
+  }
+}
+
+module.exports = AnimationPlayer;
@@ -1,9 +1,42 @@
 const config = require('../config');
 const Logger = require('../utils/logger');
+const FillOptimizer = require('../utils/fillOptimizer');
+const BlockFont = require('../utils/blockFont');
+const BoardLayout = require('../utils/boardLayout');
+const CommandSystem = require('../utils/commandSystem');
+const YouTubeService = require('./youtubeService');
+
+// Digit templates are built flat with their "from" corner at the top-left,
+// read like a floor facing south
+const TEMPLATE_AXES = BoardLayout.getAxes('floor', 'south');
+
+// How a counter writes the count: 1234567, 1,234,567 or 1.2M
+const COUNTER_FORMATS = ['full', 'comma', 'abbreviated'];
 
 class MinecraftRenderer {
-  constructor(commandSystem) {
+  constructor(commandSystem, layout = new BoardLayout()) {
     this.commandSystem = commandSystem;
+    this.layout = layout;
+    
+    // What we last placed, so re-renders only send the difference
+    this.boardState = new Map(); // area key -> { area, blocks: Map(pixel key -> placed block) }
+    this.displayedCount = null;  // Subscriber count currently shown by the digits
+    
+    // What is on display, so it can be drawn again after a board moves
+    this.content = { channelName: null, profileImage: null, image: null, goal: null, versus: null, leaderboard: null };
+    
+    // Block and size used for font text (changed with !font)
+    this.textStyle = { ...config.font };
+    
+    // Counter formats chosen with !format, overriding the widgets' own
+    this.counterFormats = {}; // board name -> format
+  }
+
+  /**
+   * Available counter formats
+   */
+  static get counterFormats() {
+    return COUNTER_FORMATS;
   }
 
   /**
@@ -12,13 +45,18 @@ class MinecraftRenderer {
   async clearAll() {
     Logger.info('Clearing all display areas...');
     
-    const clearCommands = config.coordinates.clearAreas.map(area => 
-      `fill ${area.from} ${area.to} air`
+    const clearCommands = this.layout.getAreas().map(area => 
+      `fill ${area.region.from} ${area.region.to} air`
     );
     
-    await this.commandSystem.sendBatch(clearCommands, 50);
+    // Clearing an already empty area is reported as a failure, which is fine here
+    await this.commandSystem.sendBatch(clearCommands, { allowFailures: true });
     this.commandSystem.clearQueue();
     
+    this.boardState.clear();
+    this.displayedCount = null;
+    this.content = { channelName: null, profileImage: null, image: null, goal: null, versus: null, leaderboard: null };
+    
     Logger.success('All areas cleared');
   }
 
@@ -28,10 +66,8 @@ class MinecraftRenderer {
   async clearSubscriberDisplay() {
     Logger.info('Clearing subscriber display area...');
     
-    const subscriberArea = config.coordinates.clearAreas[0]; // First clear area is subscriber display
-    const clearCommand = `fill ${subscriberArea.from} ${subscriberArea.to} air`;
-    
-    await this.commandSystem.sendCommand(clearCommand);
+    await this.clearWidgets('counter');
+    this.displayedCount = null;
     
     Logger.success('Subscriber display area cleared');
   }
@@ -42,47 +78,426 @@ class MinecraftRenderer {
   async clearProfileImage() {
     Logger.info('Clearing profile image display area...');
     
-    const profileArea = config.coordinates.clearAreas[1]; // Second clear area is profile image
-    const clearCommand = `fill ${profileArea.from} ${profileArea.to} air`;
-    
-    await this.commandSystem.sendCommand(clearCommand);
+    await this.clearWidgets('avatar');
+    this.content.profileImage = null;
     
     Logger.success('Profile image display area cleared');
   }
 
   /**
-   * Render subscriber count using pre-built digit templates
+   * Clear only the !image board
+   */
+  async clearImageBoard() {
+    Logger.info('Clearing image board...');
+    
+    await this.clearWidgets('image');
+    this.content.image = null;
+    
+    Logger.success('Image board cleared');
+  }
+
+  /**
+   * Clear only the channel name
+   */
+  async clearChannelName() {
+    Logger.info('Clearing channel name...');
+    
+    await this.clearWidgets('name');
+    this.content.channelName = null;
+    
+    Logger.success('Channel name cleared');
+  }
+
+  /**
+   * Clear only the goal progress bar
+   */
+  async clearGoal() {
+    Logger.info('Clearing goal progress bar...');
+    
+    await this.clearWidgets('goal');
+    this.content.goal = null;
+    
+    Logger.success('Goal progress bar cleared');
+  }
+
+  /**
+   * Clear the !vs race widgets
+   */
+  async clearVersus() {
+    Logger.info('Clearing race board...');
+    
+    for (const area of this.layout.getVersusAreas()) {
+      await this.clearArea(area);
+    }
+    this.content.versus = null;
+    
+    Logger.success('Race board cleared');
+  }
+
+  /**
+   * Clear the !top leaderboard
+   */
+  async clearLeaderboard() {
+    Logger.info('Clearing leaderboard...');
+    
+    await this.clearWidgets('leaderboard');
+    this.content.leaderboard = null;
+    
+    Logger.success('Leaderboard cleared');
+  }
+
+  /**
+   * Clear every widget of one type
+   */
+  async clearWidgets(type) {
+    for (const area of this.layout.getAreas(type)) {
+      await this.clearArea(area);
+    }
+  }
+
+  /**
+   * Clear every widget of a board (e.g. before moving it)
+   */
+  async clearBoard(boardName) {
+    Logger.info(`Clearing board ${boardName}...`);
+    
+    for (const area of this.layout.getAreas().filter(area => area.board === boardName)) {
+      await this.clearArea(area);
+    }
+    
+    Logger.success(`Board ${boardName} cleared`);
+  }
+
+  /**
+   * Blocks we placed in an area, or null if we don't know what is there
+   * (never drawn, cleared, or its board has moved since)
+   */
+  getPlacedBlocks(area) {
+    const state = this.boardState.get(area.key);
+    return state && state.area === area ? state.blocks : null;
+  }
+
+  /**
+   * Draw everything on display again, e.g. after a board moved
+   * Areas that did not move are unchanged, so only the moved ones are sent
+   */
+  async redraw() {
+    if (this.displayedCount) {
+      await this.renderSubscriberCount(this.displayedCount);
+    }
+    if (this.content.channelName) {
+      await this.renderChannelName(this.content.channelName);
+    }
+    if (this.content.profileImage) {
+      await this.renderProfileImage(this.content.profileImage);
+    }
+    if (this.content.image) {
+      await this.renderImage(this.content.image);
+    }
+    if (this.content.goal) {
+      await this.renderGoal(this.content.goal.subscriberCount, this.content.goal.target);
+    }
+    if (this.content.leaderboard) {
+      await this.renderLeaderboard(this.content.leaderboard);
+    }
+    if (this.content.versus) {
+      // Template digits are redrawn in full, as their cells may have moved
+      const sides = this.content.versus;
+      this.content.versus = null;
+      await this.renderVersus(sides);
+    }
+  }
+
+  /**
+   * Fill an area with air and forget what was placed on it
+   */
+  async clearArea(area) {
+    const clearCommand = `fill ${area.region.from} ${area.region.to} air`;
+    
+    await this.commandSystem.sendBatch([clearCommand], { allowFailures: true });
+    this.boardState.delete(area.key);
+  }
+
+  /**
+   * Check whether a counter is drawn with the block font instead of digit templates
+   */
+  usesFontDigits(area) {
+    return area.widget.digits !== 'templates';
+  }
+
+  /**
+   * Render subscriber count on every counter, redrawing all template digits
    */
   async renderSubscriberCount(subscriberCount) {
-    try {
-      Logger.info(`Rendering subscriber count: ${subscriberCount}`);
+    return this.smartRenderSubscriberCount(subscriberCount, null);
+  }
+
+  /**
+   * Format a counter shows the count in (!format, else the widget's format)
+   */
+  getCounterFormat(area) {
+    return this.counterFormats[area.board] || area.widget.format || 'full';
+  }
+
+  /**
+   * Switch the counters of one board, or of all boards, to a format and redraw them
+   * @param {string|null} boardName - null for every board
+   */
+  async setCounterFormat(boardName, format) {
+    if (!COUNTER_FORMATS.includes(format)) {
+      throw new Error(`Unknown counter format "${format}" (use ${COUNTER_FORMATS.join(', ')})`);
+    }
+    
+    const boardNames = boardName ? [boardName] : this.layout.getBoardNames();
+    boardNames.forEach(name => {
+      this.counterFormats[name] = format;
+    });
+    
+    if (!this.displayedCount) return;
+    
+    // Characters move when the format changes, so template digits are all redrawn
+    for (const area of this.layout.getAreas('counter')) {
+      if (boardNames.includes(area.board)) {
+        await this.renderCounterArea(area, this.displayedCount, null);
+      }
+    }
+  }
+
+  /**
+   * The count as a counter shows it - full, comma-grouped or abbreviated
+   * A count too long for the counter is abbreviated rather than cut off
+   */
+  getCounterText(area, subscriberCount) {
+    const digits = subscriberCount.toString();
+    const format = this.getCounterFormat(area);
+    let text = digits;
+    
+    if (format === 'comma') {
+      const { separator = ',' } = area.widget;
+      text = digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+    } else if (format === 'abbreviated') {
+      text = YouTubeService.formatSubscriberCount(digits).toString();
+    }
+    
+    if (format !== 'abbreviated' && !this.counterFits(area, text)) {
+      Logger.warn(`${digits} is too long for ${area.key}, showing it abbreviated`);
+      text = YouTubeService.formatSubscriberCount(digits).toString();
+    }
+    
+    return text;
+  }
+
+  /**
+   * Check whether a counter has room for a text
+   */
+  counterFits(area, text) {
+    if (this.usesFontDigits(area)) {
+      return this.getCounterScale(area, text) > 0;
+    }
+    return text.length <= this.getTemplateCapacity(area);
+  }
+
+  /**
+   * Largest font scale up to the !font scale at which text fits a font counter,
+   * in width and height, or 0 if it doesn't fit even at scale 1
+   */
+  getCounterScale(area, text) {
+    const { spacing } = this.textStyle;
+    
+    for (let scale = this.textStyle.scale; scale >= 1; scale--) {
+      if (BlockFont.measure(text, { scale, spacing }) <= area.width && BlockFont.getHeight(scale) <= area.height) {
+        return scale;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Render subscriber count with the block font, scaled down if the !font
+   * scale doesn't fit the counter
+   * Only blocks that differ from the digits already shown are placed
+   */
+  async renderFontCounter(area, subscriberCount) {
+    const text = this.getCounterText(area, subscriberCount);
+    Logger.info(`Rendering subscriber count: ${text}`);
+    
+    await this.renderText(text, area, { scale: Math.max(1, this.getCounterScale(area, text)) });
+  }
+
+  /**
+   * Render subscriber count using pre-built digit templates
+   * Only digits that differ from oldCount are cloned (all of them without an oldCount)
+   */
+  async renderTemplateCounter(area, newCount, oldCount) {
+    const { digitSpacing = 4 } = area.widget;
+    const cellSize = this.getDigitCellSize();
+    
+    const newDigits = this.getTemplateDigits(area, newCount);
+    const oldDigits = oldCount ? this.getTemplateDigits(area, oldCount) : null;
+    const glyphCommands = [];
+    
+    if (!oldDigits) {
+      // Full render for initial display (the area may hold leftovers)
+      await this.clearArea(area);
+    }
+    
+    const changedPositions = [];
+    const commands = [];
+    const length = Math.max(newDigits.length, oldDigits ? oldDigits.length : 0);
+    
+    for (let i = 0; i < length; i++) {
+      if (oldDigits && newDigits[i] === oldDigits[i]) continue;
       
-      const digits = subscriberCount.toString().split('');
-      const commands = [];
+      const cell = this.layout.getRegion(area, i * digitSpacing, 0, cellSize.x, cellSize.z);
+      changedPositions.push(i);
       
-      for (let i = 0; i < digits.length && i < 10; i++) {
-        const digit = digits[i];
-        const template = config.coordinates.digitTemplates[digit];
-        
-        if (!template) {
-          Logger.warn(`No template found for digit: ${digit}`);
-          continue;
-        }
-        
-        // Calculate destination coordinates
-        const destX = config.coordinates.subscriberDisplay.start.x - (i * config.coordinates.subscriberDisplay.digitSpacing);
-        const destY = config.coordinates.subscriberDisplay.start.y;
-        const destZ = config.coordinates.subscriberDisplay.start.z;
-        const destination = `${destX} ${destY} ${destZ}`;
-        
-        commands.push(`clone ${template.from} ${template.to} ${destination}`);
+      if (newDigits[i] === undefined) {
+        // Clear this position (number got shorter)
+        commands.push(`fill ${cell.from} ${cell.to} air`);
+        continue;
       }
       
-      if (commands.length > 0) {
-        await this.commandSystem.sendBatch(commands);
-        Logger.success(`Rendered ${commands.length} digits for subscriber count`);
+      // Clone replaces the whole digit cell, so no separate clear is needed
+      // (a retried clear could otherwise land after the clone)
+      const template = config.digitTemplates[newDigits[i]];
+      if (!template) {
+        // Separators and suffixes without a template of their own use the block font
+        glyphCommands.push(...this.getGlyphCellCommands(newDigits[i], area, i * digitSpacing, cellSize));
+        continue;
+      }
+      commands.push(...this.getTemplateCloneCommands(template, area, i * digitSpacing, cellSize));
+    }
+    
+    if (commands.length + glyphCommands.length > 0) {
+      Logger.info(`Updating ${changedPositions.length} digit positions: [${changedPositions.join(', ')}]`);
+      await this.commandSystem.sendBatch(commands);
+      // Setting a block to what it already is counts as a failure
+      await this.commandSystem.sendBatch(glyphCommands, { allowFailures: true });
+      Logger.success(`Updated ${changedPositions.length} digits`);
+    } else {
+      Logger.info('No digit changes detected, skipping update');
+    }
+  }
+
+  /**
+   * Commands copying a digit template into a counter cell
+   * Clone can't rotate, so a cell with the template's own axes takes one clone,
+   * a cell whose rows still run the same way one clone per row, and anything
+   * else (walls, other facings) one clone per block
+   * @param {Object} template - { from, to } with from at the template's top-left
+   * @param {number} u - Left column of the cell in the area
+   */
+  getTemplateCloneCommands(template, area, u, cellSize) {
+    const width = cellSize.x;
+    const height = cellSize.z;
+    
+    if (BoardLayout.sameAxes(area.axes, TEMPLATE_AXES)) {
+      const cell = this.layout.getRegion(area, u, 0, width, height);
+      return [`clone ${template.from} ${template.to} ${cell.min.x} ${cell.min.y} ${cell.min.z}`];
+    }
+    
+    const commands = [];
+    for (let dv = 0; dv < height; dv++) {
+      commands.push(...this.getTemplateRowCommands(template, dv, area, u, dv, width));
+    }
+    return commands;
+  }
+
+  /**
+   * Commands copying one row of a digit template into a row of a counter cell
+   * (one clone if the rows run the same way, otherwise one per block)
+   * @param {number} sourceRow - Row of the template
+   * @param {number} v - Row of the cell it goes to
+   */
+  getTemplateRowCommands(template, sourceRow, area, u, v, width) {
+    const [fx, fy, fz] = template.from.split(' ').map(Number);
+    const source = (du, dv) => ({
+      x: fx + du * TEMPLATE_AXES.right.x + dv * TEMPLATE_AXES.down.x,
+      y: fy + du * TEMPLATE_AXES.right.y + dv * TEMPLATE_AXES.down.y,
+      z: fz + du * TEMPLATE_AXES.right.z + dv * TEMPLATE_AXES.down.z
+    });
+    const position = ({ x, y, z }) => `${x} ${y} ${z}`;
+    const rowsMatch = ['x', 'y', 'z'].every(c => area.axes.right[c] === TEMPLATE_AXES.right[c]);
+    
+    if (rowsMatch) {
+      const row = this.layout.getRegion(area, u, v, width, 1);
+      return [`clone ${position(source(0, sourceRow))} ${position(source(width - 1, sourceRow))} ${position(row.min)}`];
+    }
+    
+    const commands = [];
+    for (let du = 0; du < width; du++) {
+      const block = position(source(du, sourceRow));
+      commands.push(`clone ${block} ${block} ${position(area.toWorld(u + du, v))}`);
+    }
+    return commands;
+  }
+
+  /**
+   * Commands drawing a block font character in a template counter cell, block by
+   * block so every block of the cell is set (no clear that a retry could reorder)
+   */
+  getGlyphCellCommands(char, area, u, cellSize) {
+    const { rows } = BlockFont.rasterize(char);
+    const position = ({ x, y, z }) => `${x} ${y} ${z}`;
+    const commands = [];
+    
+    for (let dv = 0; dv < cellSize.z; dv++) {
+      for (let du = 0; du < cellSize.x; du++) {
+        const filled = rows[dv] && rows[dv][du];
+        commands.push(`setblock ${position(area.toWorld(u + du, dv))} ${filled ? this.textStyle.block : 'air'}`);
+      }
+    }
+    
+    return commands;
+  }
+
+  /**
+   * Number of characters a template counter has room for
+   */
+  getTemplateCapacity(area) {
+    const { digitSpacing = 4 } = area.widget;
+    return Math.floor((area.width - this.getDigitCellSize().x) / digitSpacing) + 1;
+  }
+
+  /**
+   * Characters a template counter shows for a count
+   */
+  getTemplateDigits(area, count) {
+    return Array.from(this.getCounterText(area, count)).slice(0, this.getTemplateCapacity(area));
+  }
+
+  /**
+   * Size of a digit template in blocks along each axis
+   */
+  getDigitCellSize() {
+    const [fx, fy, fz] = config.digitTemplates['0'].from.split(' ').map(Number);
+    const [tx, ty, tz] = config.digitTemplates['0'].to.split(' ').map(Number);
+    return { x: Math.abs(fx - tx) + 1, y: Math.abs(fy - ty) + 1, z: Math.abs(fz - tz) + 1 };
+  }
+
+  /**
+   * Update only the subscriber count (for live updates)
+   * Only changes digits that are different from the previous count
+   */
+  async updateSubscriberCount(newCount, oldCount = null) {
+    return this.smartRenderSubscriberCount(newCount, oldCount);
+  }
+
+  /**
+   * Smart render subscriber count on every counter in the layout
+   * Font counters diff against the blocks they placed; template counters
+   * default to diffing against whatever count is currently displayed
+   */
+  async smartRenderSubscriberCount(newCount, oldCount = this.displayedCount) {
+    try {
+      Logger.info(`Updating subscriber count from ${oldCount || 'unknown'} to: ${newCount}`);
+      this.displayedCount = null;
+      
+      for (const area of this.layout.getAreas('counter')) {
+        await this.renderCounterArea(area, newCount, oldCount);
       }
       
+      this.displayedCount = newCount.toString();
     } catch (error) {
       Logger.error('Failed to render subscriber count', error);
       throw error;
@@ -90,164 +505,667 @@ class MinecraftRenderer {
   }
 
   /**
-   * Render profile image as pixel art
+   * Render the count on one counter, with the font or digit templates
    */
-  async renderProfileImage(blockData) {
-    try {
-      Logger.info(`Rendering profile image with ${blockData.length} blocks...`);
+  async renderCounterArea(area, newCount, oldCount) {
+    if (this.usesFontDigits(area)) {
+      await this.renderFontCounter(area, newCount);
+    } else {
+      await this.renderTemplateCounter(area, newCount, oldCount);
+    }
+  }
+
+  /**
+   * Change the count on every counter using config.counterAnimation
+   * - roll: changed digits count up (or down) through the digits in between
+   * - slide: the new digit pushes the old one out of its cell, upwards when the count grew
+   * The animation is squeezed into half of the live update interval and ends on a
+   * normal render, so the next update always starts from the real count
+   */
+  async animateSubscriberCount(newCount, oldCount = this.displayedCount) {
+    const { mode, maxFrames } = config.counterAnimation;
+    const from = oldCount ? oldCount.toString() : '';
+    const to = newCount.toString();
+    
+    // Digits only line up while the number keeps its length
+    if (mode === 'none' || !this.displayedCount || from.length !== to.length || from === to) {
+      return this.smartRenderSubscriberCount(newCount, oldCount);
+    }
+    
+    const rising = parseInt(to, 10) > parseInt(from, 10);
+    const frames = mode === 'slide'
+      ? this.getSlideFrames(Math.min(maxFrames, this.getShortestCounterCell(to) - 1))
+      : this.getRollFrames(from, to, rising, maxFrames);
+    
+    const duration = Math.min(config.counterAnimation.duration, config.liveUpdates.interval / 2);
+    const frameTime = duration / (frames.length + 1);
+    const deadline = Date.now() + duration;
+    let shown = from;
+    
+    Logger.info(`Animating subscriber count ${from} -> ${to} (${mode}, ${frames.length} frames)`);
+    
+    for (const frame of frames) {
+      // Running late (slow world) - skip straight to the final count
+      if (Date.now() + frameTime > deadline) break;
       
-      // Group blocks by type for more efficient rendering
-      const blockGroups = new Map();
+      const frameStart = Date.now();
+      if (mode === 'slide') {
+        await this.renderSlideFrame(from, to, frame, rising);
+      } else {
+        await this.smartRenderSubscriberCount(frame, shown);
+        shown = frame;
+      }
+      await this.commandSystem.sleep(Math.max(0, frameTime - (Date.now() - frameStart)));
+    }
+    
+    // Slide frames leave template cells half-drawn, so those get a full digit redraw
+    await this.smartRenderSubscriberCount(newCount, mode === 'slide' ? from : shown);
+  }
+
+  /**
+   * Counts in between for a roll: each changed digit steps round the dial
+   * (9 -> 0 -> 1 when rising) and all of them arrive together
+   */
+  getRollFrames(from, to, rising, maxFrames) {
+    const distances = Array.from(to).map((digit, i) => {
+      const step = (Number(digit) - Number(from[i]) + 10) % 10;
+      return rising ? step : (10 - step) % 10;
+    });
+    const steps = Math.min(Math.max(...distances), maxFrames + 1);
+    const frames = [];
+    
+    for (let frame = 1; frame < steps; frame++) {
+      frames.push(Array.from(from).map((digit, i) => {
+        const moved = Math.round(distances[i] * frame / steps);
+        return (Number(digit) + (rising ? moved : 10 - moved)) % 10;
+      }).join(''));
+    }
+    
+    return frames;
+  }
+
+  /**
+   * Height of the shortest digit on any counter - a slide has no more distinct frames than that
+   */
+  getShortestCounterCell(subscriberCount) {
+    const heights = this.layout.getAreas('counter').map(area => this.usesFontDigits(area)
+      ? BlockFont.getHeight(Math.max(1, this.getCounterScale(area, this.getCounterText(area, subscriberCount))))
+      : this.getDigitCellSize().z
+    );
+    return Math.min(...heights);
+  }
+
+  /**
+   * How far the new digits have slid in for each frame, as a fraction of the cell height
+   */
+  getSlideFrames(maxFrames) {
+    const steps = maxFrames + 1;
+    return Array.from({ length: maxFrames }, (_, i) => (i + 1) / steps);
+  }
+
+  /**
+   * Draw one slide frame on every counter
+   * @param {number} progress - 0 (old digits) to 1 (new digits)
+   */
+  async renderSlideFrame(from, to, progress, rising) {
+    for (const area of this.layout.getAreas('counter')) {
+      const fromText = this.getCounterText(area, from);
+      const toText = this.getCounterText(area, to);
+      
+      // The format moved characters around (e.g. 9.9K -> 10.0K) - the final render catches up
+      if (fromText.length !== toText.length) continue;
+      
+      if (this.usesFontDigits(area)) {
+        // Both texts at the scale the final render will use
+        const scale = Math.max(1, this.getCounterScale(area, toText));
+        await this.renderPixelArt(this.buildSlideBlocks(fromText, toText, progress, rising, scale), area);
+        continue;
+      }
+      
+      const { digitSpacing = 4 } = area.widget;
+      const cellSize = this.getDigitCellSize();
+      const oldDigits = this.getTemplateDigits(area, from);
+      const newDigits = this.getTemplateDigits(area, to);
+      const commands = [];
+      
+      newDigits.forEach((digit, i) => {
+        if (digit === oldDigits[i]) return;
+        
+        this.getSlideRows(cellSize.z, progress, rising).forEach(({ isNew, row }, v) => {
+          const template = config.digitTemplates[isNew ? digit : oldDigits[i]];
+          if (template) {
+            commands.push(...this.getTemplateRowCommands(template, row, area, i * digitSpacing, v, cellSize.x));
+          }
+        });
+      });
       
-      blockData.forEach(block => {
-        if (!blockGroups.has(block.block)) {
-          blockGroups.set(block.block, []);
+      await this.commandSystem.sendBatch(commands);
+    }
+  }
+
+  /**
+   * Which digit and row each row of a sliding cell shows - the old and new
+   * digits are stacked (old on top when rising) and the cell is a window
+   * moving over them
+   * @returns {Object[]} { isNew, row } for each row of the cell
+   */
+  getSlideRows(height, progress, rising) {
+    const shift = Math.round(height * progress);
+    const start = rising ? shift : height - shift;
+    
+    return Array.from({ length: height }, (_, v) => {
+      const position = start + v;
+      const isNew = rising ? position >= height : position < height;
+      return { isNew, row: position % height };
+    });
+  }
+
+  /**
+   * Font counter pixels for a slide frame - changed characters show part of the
+   * old and new character, the rest shows the new text
+   */
+  buildSlideBlocks(from, to, progress, rising, scale = 1) {
+    const { block, spacing = 1 } = this.textStyle;
+    const oldText = BlockFont.rasterize(from, { scale, spacing });
+    const newText = BlockFont.rasterize(to, { scale, spacing });
+    const rows = this.getSlideRows(newText.height, progress, rising);
+    
+    // Columns of each character that changed
+    const sliding = new Array(newText.width).fill(false);
+    Array.from(to).forEach((char, i) => {
+      if (char === from[i]) return;
+      const left = i === 0 ? 0 : BlockFont.measure(to.slice(0, i), { scale, spacing }) + spacing * scale;
+      const width = BlockFont.measure(char, { scale });
+      sliding.fill(true, left, left + width);
+    });
+    
+    const blocks = [];
+    newText.rows.forEach((row, y) => {
+      row.forEach((filled, x) => {
+        if (sliding[x]) {
+          const { isNew, row: sourceRow } = rows[y];
+          filled = (isNew ? newText : oldText).rows[sourceRow][x];
         }
-        blockGroups.get(block.block).push(block);
+        blocks.push({ px: x, py: y, block: filled ? block : 'air' });
       });
+    });
+    
+    return blocks;
+  }
+
+  /**
+   * Render the channel name in block letters, as large as fits each name widget
+   */
+  async renderChannelName(channelName) {
+    const text = this.toFontText(channelName);
+    
+    if (!text) {
+      Logger.warn(`Channel name "${channelName}" has no characters the block font can draw`);
+      for (const area of this.layout.getAreas('name')) {
+        if (this.getPlacedBlocks(area)) await this.clearArea(area);
+      }
+      this.content.channelName = null;
+      return;
+    }
+    
+    this.content.channelName = channelName;
+    for (const area of this.layout.getAreas('name')) {
+      await this.renderFittedText(text, area);
+    }
+  }
+
+  /**
+   * Draw text as large as fits an area (up to the widget's maxScale)
+   * @param {Object} options - { center } to centre the text horizontally
+   */
+  async renderFittedText(text, area, { center = false } = {}) {
+    const fitted = this.fitText(text, area, area.widget.maxScale || 1);
+    const width = BlockFont.measure(fitted.text, { scale: fitted.scale, spacing: this.textStyle.spacing });
+    const u = center ? Math.max(0, Math.floor((area.width - width) / 2)) : 0;
+    
+    await this.renderText(fitted.text, area, { scale: fitted.scale, u });
+  }
+
+  /**
+   * Render a !vs race - each channel's counter, name and avatar on the widgets
+   * for its side, and the gap between them
+   * Called again on every update: unchanged names and avatars send nothing
+   * @param {Object[]} sides - { channelName, subscriberCount, profileImage } for channel a and b
+   *   (profileImage is block data, or null to leave the avatar alone)
+   */
+  async renderVersus(sides) {
+    const previous = this.content.versus;
+    this.content.versus = sides;
+    
+    for (const [index, channel] of ['a', 'b'].entries()) {
+      const side = sides[index];
+      const oldCount = previous ? previous[index].subscriberCount : null;
       
-      Logger.debug(`Grouped blocks into ${blockGroups.size} different types`);
+      for (const area of this.layout.getAreas('counter', channel)) {
+        await this.renderCounterArea(area, side.subscriberCount, oldCount);
+      }
       
-      // Render blocks in batches by type
-      for (const [blockType, blocks] of blockGroups) {
-        const commands = blocks.map(block => 
-          `setblock ${block.coordinates} ${blockType}`
-        );
-        
-        Logger.debug(`Rendering ${commands.length} ${blockType} blocks`);
-        await this.commandSystem.sendBatch(commands, 25); // Faster batch for pixel art
+      const name = this.toFontText(side.channelName);
+      for (const area of this.layout.getAreas('name', channel)) {
+        if (name) {
+          await this.renderFittedText(name, area);
+        } else if (this.getPlacedBlocks(area)) {
+          await this.clearArea(area);
+        }
       }
       
-      Logger.success('Profile image rendered successfully');
+      if (side.profileImage) {
+        for (const area of this.layout.getAreas('avatar', channel)) {
+          await this.renderPixelArt(side.profileImage, area);
+        }
+      }
+    }
+    
+    for (const area of this.layout.getAreas('gap')) {
+      await this.renderFittedText(this.getGapText(area, sides), area, { center: true });
+    }
+  }
+
+  /**
+   * Render the !top leaderboard on every leaderboard widget
+   * Each refresh only sends the blocks that changed, so when channels swap places
+   * only the rows that differ are redrawn
+   * @param {Object[]} channels - { channelName, subscriberCount }, highest first
+   */
+  async renderLeaderboard(channels) {
+    const areas = this.layout.getAreas('leaderboard');
+    if (areas.length === 0) {
+      throw new Error('The board layout has no leaderboard widget');
+    }
+    
+    this.content.leaderboard = channels;
+    for (const area of areas) {
+      await this.renderPixelArt(this.buildLeaderboardBlocks(area, channels), area);
+    }
+  }
+
+  /**
+   * Leaderboard pixels - a row per channel with its rank on the left, its name
+   * after it (shortened to fit) and its count right-aligned
+   * Rows are always drawn at scale 1 so they keep to their row height
+   */
+  buildLeaderboardBlocks(area, channels) {
+    const { rows = 10, rankWidth = 10, countWidth = 39 } = area.widget;
+    const rowHeight = Math.floor(area.height / rows);
+    const style = { ...this.textStyle, scale: 1 };
+    const nameColumn = { width: area.width - rankWidth - countWidth - 2, height: rowHeight };
+    const blocks = [];
+    
+    channels.slice(0, rows).forEach((channel, index) => {
+      const v = index * rowHeight;
+      const name = this.fitText(this.toFontText(channel.channelName) || '?', nameColumn).text;
       
-    } catch (error) {
-      Logger.error('Failed to render profile image', error);
-      throw error;
+      let count = parseInt(channel.subscriberCount, 10).toLocaleString('en-US');
+      if (BlockFont.measure(count, style) > countWidth) {
+        count = YouTubeService.formatSubscriberCount(channel.subscriberCount).toString();
+      }
+      
+      blocks.push(...this.buildTextBlocks(`${index + 1}.`, { ...style, u: 0, v }));
+      blocks.push(...this.buildTextBlocks(name, { ...style, u: rankWidth, v }));
+      blocks.push(...this.buildTextBlocks(count, { ...style, u: area.width - BlockFont.measure(count, style), v }));
+    });
+    
+    return blocks;
+  }
+
+  /**
+   * Gap readout with arrows pointing at the leader: "<< 12,345", "12,345 >>" or "TIE"
+   * The gap is abbreviated when it doesn't fit in full
+   */
+  getGapText(area, sides) {
+    const [a, b] = sides.map(side => parseInt(side.subscriberCount, 10));
+    if (a === b) {
+      return 'TIE';
     }
+    
+    const gap = Math.abs(a - b);
+    let number = gap.toLocaleString('en-US');
+    if (BlockFont.measure(`<< ${number}`, this.textStyle) > area.width) {
+      number = YouTubeService.formatSubscriberCount(gap).toString();
+    }
+    
+    return a > b ? `<< ${number}` : `${number} >>`;
   }
 
   /**
-   * Render complete YouTube channel display
+   * Strip accents and drop characters the block font has no glyph for
    */
-  async renderYouTubeChannel(channelData, blockData) {
-    try {
-      Logger.info(`Rendering complete YouTube channel display for: ${channelData.channelName}`);
+  toFontText(text) {
+    return Array.from(String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, ''))
+      .filter(char => BlockFont.hasGlyph(char))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Pick the largest scale at which text fits an area, shortening it with "..." if
+   * it does not even fit at scale 1
+   * @returns {Object} { text, scale }
+   */
+  fitText(text, area, maxScale = 1) {
+    const spacing = this.textStyle.spacing;
+    
+    for (let scale = maxScale; scale >= 1; scale--) {
+      const fits = BlockFont.measure(text, { scale, spacing }) <= area.width &&
+        BlockFont.getHeight(scale) <= area.height;
+      if (fits) {
+        return { text, scale };
+      }
+    }
+    
+    let shortened = text;
+    while (shortened && BlockFont.measure(`${shortened.trimEnd()}...`, { spacing }) > area.width) {
+      shortened = shortened.slice(0, -1);
+    }
+    
+    return { text: shortened ? `${shortened.trimEnd()}...` : '', scale: 1 };
+  }
+
+  /**
+   * Render the goal progress bar with the subscribers still needed written under it
+   */
+  async renderGoal(subscriberCount, target) {
+    this.content.goal = { subscriberCount, target };
+    
+    for (const area of this.layout.getAreas('goal')) {
+      await this.renderPixelArt(this.buildGoalBlocks(area, subscriberCount, target), area);
+    }
+  }
+
+  /**
+   * Pixels for a goal widget: the bar fills from the left as the count nears the
+   * target, and the readout shows what is left ("GOAL!" once it is reached)
+   */
+  buildGoalBlocks(area, subscriberCount, target) {
+    const { barHeight = 3, barBlock = 'concrete 5', emptyBlock = 'concrete 8' } = area.widget;
+    const count = parseInt(subscriberCount, 10) || 0;
+    const progress = Math.max(0, Math.min(1, count / target));
+    const filled = Math.floor(progress * area.width);
+    const blocks = [];
+    
+    for (let py = 0; py < barHeight; py++) {
+      for (let px = 0; px < area.width; px++) {
+        blocks.push({ px, py, block: px < filled ? barBlock : emptyBlock });
+      }
+    }
+    
+    // The readout goes under the bar, abbreviated if the full number doesn't fit
+    const remaining = Math.max(0, target - count);
+    const readout = { width: area.width, height: area.height - barHeight - 1 };
+    let text = remaining > 0 ? remaining.toString() : 'GOAL!';
+    if (BlockFont.measure(text, { spacing: this.textStyle.spacing }) > readout.width) {
+      text = YouTubeService.formatSubscriberCount(remaining);
+    }
+    
+    if (readout.height >= BlockFont.getHeight(1)) {
+      const fitted = this.fitText(text, readout, this.textStyle.scale);
+      blocks.push(...this.buildTextBlocks(fitted.text, { ...this.textStyle, scale: fitted.scale, v: barHeight + 1 }));
+    }
+    
+    return blocks;
+  }
+
+  /**
+   * Celebrate a milestone around every board with a counter: fireworks along the
+   * edges, particle bursts, a sound and a title for all players
+   */
+  async celebrate(milestone, channelName) {
+    const { fireworks, particle, sound, title } = config.celebrations.effects;
+    const position = ({ x, y, z }) => `${x} ${y} ${z}`;
+    const commands = [];
+    
+    const boardNames = new Set(this.layout.getAreas('counter').map(area => area.board));
+    boardNames.forEach(boardName => {
+      const board = this.layout.getBoardArea(boardName);
       
-      // Start with subscriber count (faster)
-      await this.renderSubscriberCount(channelData.subscriberCount);
+      this.getEdgePoints(board, fireworks).forEach(point => {
+        commands.push(`summon fireworks_rocket ${position(point)}`);
+      });
       
-      // Then render profile image if available
-      if (blockData && blockData.length > 0) {
-        await this.renderProfileImage(blockData);
-      } else {
-        Logger.warn('No profile image block data available');
+      if (particle) {
+        const corners = [[0, 0], [board.width - 1, 0], [0, board.height - 1], [board.width - 1, board.height - 1]];
+        const centre = [Math.floor(board.width / 2), Math.floor(board.height / 2)];
+        [centre, ...corners].forEach(([u, v]) => {
+          commands.push(`particle ${particle} ${position(this.inFrontOf(board, u, v))}`);
+        });
       }
+    });
+    
+    if (sound) {
+      commands.push(`playsound ${sound} @a`);
+    }
+    
+    if (title) {
+      // The subtitle is shown with the next title, so it goes first
+      commands.push(`titleraw @a subtitle ${CommandSystem.rawtext(channelName)}`);
+      commands.push(`titleraw @a title ${CommandSystem.rawtext(`${milestone.toLocaleString('en-US')} subscribers!`)}`);
+    }
+    
+    Logger.info(`Celebrating ${milestone} subscribers with ${commands.length} commands`);
+    // Effects are cosmetic - one that fails (e.g. an unknown particle) shouldn't stop the rest
+    await this.commandSystem.sendBatch(commands, { allowFailures: true });
+  }
+
+  /**
+   * World position one block in front of a spot on an area (above a floor, below
+   * a ceiling, out from a wall)
+   */
+  inFrontOf(area, u, v) {
+    const point = area.toWorld(u, v);
+    const { front } = area.axes;
+    return { x: point.x + front.x, y: point.y + front.y, z: point.z + front.z };
+  }
+
+  /**
+   * Evenly spaced points around the edge of an area, just in front of it
+   */
+  getEdgePoints(area, count) {
+    const width = area.width - 1;
+    const height = area.height - 1;
+    const perimeter = 2 * (width + height);
+    const points = [];
+    
+    for (let i = 0; i < count; i++) {
+      let distance = Math.floor(i * perimeter / count);
+      let u;
+      let v;
       
-      Logger.success('YouTube channel display completed');
+      if (distance < width) {
+        [u, v] = [distance, 0];
+      } else if ((distance -= width) < height) {
+        [u, v] = [width, distance];
+      } else if ((distance -= height) < width) {
+        [u, v] = [width - distance, height];
+      } else {
+        [u, v] = [0, height - (distance - width)];
+      }
       
-    } catch (error) {
-      Logger.error('Failed to render YouTube channel display', error);
-      await this.commandSystem.say(`❌ Failed to render channel: ${error.message}`);
-      throw error;
+      points.push(this.inFrontOf(area, u, v));
     }
+    
+    return points;
   }
 
   /**
-   * Update only the subscriber count (for live updates)
-   * Only changes digits that are different from the previous count
+   * Render profile image as pixel art on every avatar widget
    */
-  async updateSubscriberCount(newCount, oldCount = null) {
+  async renderProfileImage(blockData) {
+    this.content.profileImage = blockData;
+    for (const area of this.layout.getAreas('avatar')) {
+      await this.renderPixelArt(blockData, area);
+    }
+  }
+
+  /**
+   * Render an !image picture on every image widget
+   */
+  async renderImage(blockData) {
+    const areas = this.layout.getAreas('image');
+    if (areas.length === 0) {
+      throw new Error('The board layout has no image widget');
+    }
+    
+    this.content.image = blockData;
+    for (const area of areas) {
+      await this.renderPixelArt(blockData, area);
+    }
+  }
+
+  /**
+   * Give pixels their world position in an area, dropping any outside it
+   * @param {Object[]} blockData - Blocks with pixel positions (px, py) inside the area
+   */
+  placeInArea(blockData, area) {
+    const placed = [];
+    
+    blockData.forEach(block => {
+      if (block.px < 0 || block.py < 0 || block.px >= area.width || block.py >= area.height) return;
+      placed.push({ ...block, ...area.toWorld(block.px, block.py) });
+    });
+    
+    if (placed.length < blockData.length) {
+      Logger.warn(`${blockData.length - placed.length} blocks fall outside ${area.key} and were left out`);
+    }
+    
+    return placed;
+  }
+
+  /**
+   * Render block data as pixel art in a layout area
+   * Only pixels that differ from the last render in this area are sent; the
+   * first render (or one after a failure) clears the area and paints everything
+   * @param {Object[]} pixels - Blocks with pixel positions, e.g. from ImageProcessor.generateBlockData
+   * @param {Object} area - Layout area to draw in
+   */
+  async renderPixelArt(pixels, area) {
+    const board = area.key;
+    
     try {
-      Logger.info(`Updating subscriber count from ${oldCount || 'unknown'} to: ${newCount}`);
+      const blockData = this.placeInArea(pixels, area);
+      Logger.info(`Rendering ${board} with ${blockData.length} blocks...`);
       
-      if (!oldCount) {
-        // If we don't have the old count, clear and render everything
-        await this.clearSubscriberDisplay();
-        await this.renderSubscriberCount(newCount);
-        Logger.success('Subscriber count fully updated (no previous count available)');
-        return;
-      }
+      const pixelKey = block => `${block.px},${block.py}`;
+      const current = new Map(blockData.map(block => [pixelKey(block), block]));
+      let previous = this.getPlacedBlocks(area);
       
-      const newDigits = newCount.toString().split('');
-      const oldDigits = oldCount.toString().split('');
-      const maxLength = Math.max(newDigits.length, oldDigits.length);
+      if (!previous) {
+        // We don't know what is in the world there yet
+        await this.clearArea(area);
+        previous = new Map();
+      }
       
-      // Pad shorter number with leading spaces for comparison
-      while (newDigits.length < maxLength) newDigits.unshift(' ');
-      while (oldDigits.length < maxLength) oldDigits.unshift(' ');
+      // Pixels we never placed anything on are still air from the clear
+      const placedBlock = block => previous.get(pixelKey(block))?.block || 'air';
+      const changed = blockData.filter(block => placedBlock(block) !== block.block);
+      const unchanged = blockData.filter(block => placedBlock(block) === block.block);
       
-      const changedPositions = [];
-      const commands = [];
+      // Pixels we placed last time that the new image leaves transparent
+      previous.forEach((block, key) => {
+        if (!current.has(key) && block.block !== 'air') changed.push({ ...block, block: 'air' });
+      });
       
-      // Find positions where digits have changed
-      for (let i = 0; i < maxLength; i++) {
-        if (newDigits[i] !== oldDigits[i]) {
-          changedPositions.push(i);
-          
-          const destX = config.coordinates.subscriberDisplay.start.x - (i * config.coordinates.subscriberDisplay.digitSpacing);
-          const destY = config.coordinates.subscriberDisplay.start.y;
-          const destZ = config.coordinates.subscriberDisplay.start.z;
-          
-          if (newDigits[i] === ' ') {
-            // Clear this position (number got shorter)
-            const clearFrom = `${destX + 2} ${destY} ${destZ - 2}`;
-            const clearTo = `${destX - 2} ${destY + 4} ${destZ + 2}`;
-            commands.push(`fill ${clearFrom} ${clearTo} air`);
-          } else {
-            // First clear the specific position
-            const clearFrom = `${destX + 2} ${destY} ${destZ - 2}`;
-            const clearTo = `${destX - 2} ${destY + 4} ${destZ + 2}`;
-            commands.push(`fill ${clearFrom} ${clearTo} air`);
-            
-            // Then place the new digit
-            const template = config.coordinates.digitTemplates[newDigits[i]];
-            if (template) {
-              const destination = `${destX} ${destY} ${destZ}`;
-              commands.push(`clone ${template.from} ${template.to} ${destination}`);
-            }
-          }
-        }
+      if (changed.length === 0) {
+        Logger.success(`${board} unchanged, nothing to render`);
+        return;
       }
       
-      if (commands.length > 0) {
-        Logger.info(`Updating ${changedPositions.length} digit positions: [${changedPositions.join(', ')}]`);
-        await this.commandSystem.sendBatch(commands, 25);
-        Logger.success(`Updated ${changedPositions.length} digits efficiently`);
-      } else {
-        Logger.info('No digit changes detected, skipping update');
-      }
+      // Merge same-colour areas into fill commands (rectangles may run over unchanged pixels)
+      const commands = FillOptimizer.buildCommands(changed, unchanged);
+      const saved = changed.length - commands.length;
+      Logger.info(`Merged ${changed.length} changed blocks (of ${blockData.length}) into ${commands.length} commands (${saved} saved)`);
+      
+      // Forget the board until the batch succeeds so a partial render gets repainted next time
+      this.boardState.delete(board);
+      await this.commandSystem.sendBatch(commands);
+      this.boardState.set(board, { area, blocks: current });
+      
+      Logger.success(`${board} rendered successfully`);
       
     } catch (error) {
-      Logger.error('Failed to update subscriber count', error);
+      Logger.error(`Failed to render ${board}`, error);
       throw error;
     }
   }
 
   /**
-   * Smart render subscriber count - checks if we need full render or partial update
+   * Render complete YouTube channel display
    */
-  async smartRenderSubscriberCount(newCount, oldCount = null) {
+  async renderYouTubeChannel(channelData, blockData) {
     try {
-      if (!oldCount) {
-        // Full render for initial display
-        await this.renderSubscriberCount(newCount);
+      Logger.info(`Rendering complete YouTube channel display for: ${channelData.channelName}`);
+      
+      // Start with subscriber count (faster) - only changed digits are redrawn
+      await this.smartRenderSubscriberCount(channelData.subscriberCount);
+      
+      await this.renderChannelName(channelData.channelName);
+      
+      // Then render profile image if available
+      if (blockData && blockData.length > 0) {
+        await this.renderProfileImage(blockData);
       } else {
-        // Efficient partial update
-        await this.updateSubscriberCount(newCount, oldCount);
+        Logger.warn('No profile image block data available');
+        this.content.profileImage = null;
+        for (const area of this.layout.getAreas('avatar')) {
+          if (this.getPlacedBlocks(area)) await this.clearArea(area);
+        }
       }
+      
+      Logger.success('YouTube channel display completed');
+      
     } catch (error) {
-      Logger.error('Failed to smart render subscriber count', error);
+      Logger.error('Failed to render YouTube channel display', error);
+      await this.commandSystem.say(`❌ Failed to render channel: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Create a simple text display using blocks
+   * Change the block and scale used for font text
    */
-  async renderText(text, startCoords, blockType = 'white_wool') {
-    // This is a placeholder for future text rendering functionality
-    Logger.info(`Text rendering not yet implemented: ${text}`);
-    return this.commandSystem.say(`Text: ${text}`);
+  setTextStyle(style) {
+    this.textStyle = { ...this.textStyle, ...style };
+  }
+
+  /**
+   * Draw text with the built-in block font in a layout area
+   * The gaps between letters are part of the text, so redrawing the area
+   * overwrites the old text and only sends the blocks that changed
+   * @param {string} text
+   * @param {Object} area - Layout area to draw in (text running past its edge is cut off)
+   * @param {Object} options - { block, scale, spacing, u, v } overriding the text style,
+   *   with u/v the top-left of the text inside the area
+   */
+  async renderText(text, area, options = {}) {
+    const blockData = this.buildTextBlocks(text, { ...this.textStyle, ...options });
+    if (blockData.length === 0) {
+      Logger.warn('Nothing to render for empty text');
+      return;
+    }
+    
+    await this.renderPixelArt(blockData, area);
+  }
+
+  /**
+   * Turn text into pixels (letters get the block, gaps get air)
+   * @returns {Object[]} Blocks as { px, py, block }, like ImageProcessor.generateBlockData
+   */
+  buildTextBlocks(text, { block, scale = 1, spacing = 1, u = 0, v = 0 }) {
+    const { rows } = BlockFont.rasterize(text, { scale, spacing });
+    const blocks = [];
+    
+    rows.forEach((row, rowIndex) => {
+      row.forEach((filled, column) => {
+        blocks.push({ px: u + column, py: v + rowIndex, block: filled ? block : 'air' });
+      });
+    });
+    
+    return blocks;
   }
 
   /**
@@ -256,12 +1174,22 @@ class MinecraftRenderer {
   async showHelp() {
     const helpMessages = [
       '🤖 YouTube Display Bot Commands:',
-      '!subs <channel> - Display subscriber count and profile',
+      '!subs <channel> [--dither fs|atkinson|bayer|none] [--circle] [--bg wool:0] - Display subscriber count and profile',
       '!info <channel> - Get channel info only',
       '!search <term> - Search for YouTube channels',
       '!live - Enable live subscriber updates (optimized)',
       '!stop - Stop live updates',
       '!clear - Clear all displays',
+      '!image <url> [width] [height] [--fit cover|contain|stretch] - Render any picture or GIF',
+      '!anim stop|play|loop on/off|fps <n> - Control GIF playback',
+      '!palette [name] - Show or switch the block palette',
+      '!font [block:data] [scale] - Change the block and size of the counter digits',
+      '!format [board] <full|comma|short> - Show the count in full, as 1,234,567 or as 1.2M',
+      '!place <board> here [floor|wall|ceiling] - Move a board to where you stand',
+      '!goal <number>|off - Show a progress bar towards a subscriber goal',
+      '!top [ch1,ch2,...] | !top off - Rank tracked channels on the leaderboard wall',
+      '!vs <channelA> <channelB> | !vs off - Race two channels side by side with the gap between them',
+      '!show <sidebar|actionbar|progress> on|off - Show the count on the sidebar or actionbar',
       '!help - Show this help message',
       '!status - Show bot status',
       '!stats - Show detailed statistics'
@@ -277,10 +1205,10 @@ class MinecraftRenderer {
    * Display bot status
    */
   async showStatus(liveUpdatesState) {
-    const queueLength = this.commandSystem.commandQueue.length;
+    const flow = this.commandSystem.getFlowStats();
     const cacheSize = this.imageProcessor?.colorCache?.size || 0;
     
-    await this.commandSystem.say(`🟢 Bot Status: Active | Queue: ${queueLength} | Cache: ${cacheSize}`);
+    await this.commandSystem.say(`🟢 Bot Status: Active | Queue: ${flow.queued} | In flight: ${flow.inFlight}/${flow.window} | Cache: ${cacheSize}`);
     
     if (liveUpdatesState && liveUpdatesState.enabled) {
       const duration = Math.floor((Date.now() - liveUpdatesState.startTime) / 1000);
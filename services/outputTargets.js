@@ -0,0 +1,168 @@
+const config = require('../config');
+const Logger = require('../utils/logger');
+const CommandSystem = require('../utils/commandSystem');
+const YouTubeService = require('./youtubeService');
+
+const TARGETS = ['sidebar', 'actionbar', 'progress'];
+
+// Scoreboard scores are 32-bit integers
+const MAX_SCORE = 2147483647;
+
+class OutputTargets {
+  /**
+   * Places other than the boards that show the count, so players anywhere in
+   * the world can follow it (toggled with !show)
+   */
+  constructor(commandSystem) {
+    this.commandSystem = commandSystem;
+    this.enabled = { sidebar: false, actionbar: false, progress: false };
+    this.sidebarEntry = null; // { name, score } currently on the sidebar
+  }
+
+  /**
+   * Available targets
+   */
+  static get targets() {
+    return TARGETS;
+  }
+
+  /**
+   * Check whether a target is on
+   */
+  isEnabled(target) {
+    return Boolean(this.enabled[target]);
+  }
+
+  /**
+   * Turn a target on or off
+   */
+  async setEnabled(target, enabled) {
+    if (!TARGETS.includes(target)) {
+      throw new Error(`Unknown output "${target}" (use ${TARGETS.join(', ')})`);
+    }
+
+    this.enabled[target] = enabled;
+    Logger.info(`Output ${target} ${enabled ? 'enabled' : 'disabled'}`);
+
+    if (target === 'sidebar') {
+      await (enabled ? this.createSidebar() : this.removeSidebar());
+    }
+  }
+
+  /**
+   * Show a status on every enabled target - called on every live update tick,
+   * which also keeps the actionbar from fading
+   * @param {Object} status - { channelName, subscriberCount, target } (target is what the progress bar fills towards)
+   */
+  async update(status) {
+    const commands = [];
+
+    if (this.enabled.sidebar) {
+      commands.push(...this.getSidebarCommands(status));
+    }
+
+    // The actionbar holds one message, so the ticker and the progress bar share it
+    const lines = [];
+    if (this.enabled.actionbar) {
+      lines.push(this.getTickerText(status));
+    }
+    if (this.enabled.progress && status.target) {
+      lines.push(this.getProgressText(status));
+    }
+    if (lines.length > 0) {
+      commands.push(`titleraw @a actionbar ${CommandSystem.rawtext(lines.join('\n'))}`);
+    }
+
+    if (commands.length > 0) {
+      await this.commandSystem.sendBatch(commands, { allowFailures: true });
+    }
+  }
+
+  /**
+   * Take the channel off the sidebar (the channel was cleared)
+   */
+  async reset() {
+    if (this.enabled.sidebar && this.sidebarEntry) {
+      const { objective } = config.outputs.sidebar;
+      await this.commandSystem.sendBatch([`scoreboard players reset ${this.sidebarEntry.name} ${objective}`], { allowFailures: true });
+    }
+    this.sidebarEntry = null;
+  }
+
+  /**
+   * Create the scoreboard objective and show it on the sidebar
+   */
+  async createSidebar() {
+    const { objective, displayName } = config.outputs.sidebar;
+
+    // Adding an objective that already exists (e.g. after a restart) fails, which is fine
+    await this.commandSystem.sendBatch([
+      `scoreboard objectives add ${objective} dummy ${this.quote(displayName)}`,
+      `scoreboard objectives setdisplay sidebar ${objective} descending`
+    ], { allowFailures: true });
+  }
+
+  /**
+   * Remove the scoreboard objective, which also takes it off the sidebar
+   */
+  async removeSidebar() {
+    const { objective } = config.outputs.sidebar;
+
+    await this.commandSystem.sendBatch([`scoreboard objectives remove ${objective}`], { allowFailures: true });
+    this.sidebarEntry = null;
+  }
+
+  /**
+   * Commands putting the count on the sidebar, as a score for the channel name
+   * Nothing is sent while the score is unchanged
+   */
+  getSidebarCommands({ channelName, subscriberCount }) {
+    const { objective } = config.outputs.sidebar;
+    const name = this.quote(channelName);
+    const score = Math.min(parseInt(subscriberCount, 10) || 0, MAX_SCORE);
+    const commands = [];
+
+    if (this.sidebarEntry && this.sidebarEntry.name === name && this.sidebarEntry.score === score) {
+      return commands;
+    }
+
+    // A different channel replaces the previous one
+    if (this.sidebarEntry && this.sidebarEntry.name !== name) {
+      commands.push(`scoreboard players reset ${this.sidebarEntry.name} ${objective}`);
+    }
+    commands.push(`scoreboard players set ${name} ${objective} ${score}`);
+
+    this.sidebarEntry = { name, score };
+    return commands;
+  }
+
+  /**
+   * Actionbar ticker line, e.g. "MrBeast: 123,456,789 subscribers"
+   */
+  getTickerText({ channelName, subscriberCount }) {
+    const count = parseInt(subscriberCount, 10).toLocaleString('en-US');
+    return `§l${channelName}§r: §a${count}§r subscribers`;
+  }
+
+  /**
+   * Actionbar progress bar towards the target, e.g. "||||||||.... 62% of 1.0M"
+   */
+  getProgressText({ subscriberCount, target }) {
+    const { width, block, emptyColor, fullColor } = config.outputs.progress;
+    const progress = Math.min(Math.max(parseInt(subscriberCount, 10) / target, 0), 1);
+    const filled = Math.floor(progress * width);
+    const percent = Math.floor(progress * 100);
+
+    return `${fullColor}${block.repeat(filled)}${emptyColor}${block.repeat(width - filled)}§r ${percent}% of ${YouTubeService.formatSubscriberCount(target)}`;
+  }
+
+  /**
+   * Quote a name for a command argument - quotes and backslashes can't be escaped
+   * there, so they are dropped
+   */
+  quote(text) {
+    return `"${String(text).replace(/["\\\n]/g, '')}"`;
+  }
+}
+
+module.exports = OutputTargets;
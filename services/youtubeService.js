@@ -2,6 +2,9 @@ const fetch = require('node-fetch');
 const config = require('../config');
 const Logger = require('../utils/logger');
 
+// Units for abbreviated counts, largest first
+const ABBREVIATIONS = [[1000000000, 'B'], [1000000, 'M'], [1000, 'K']];
+
 class YouTubeService {
   /**
    * Extract channel ID from various YouTube URL formats
@@ -189,17 +192,33 @@ class YouTubeService {
   }
 
   /**
-   * Format subscriber count for display
+   * Parse a subscriber count typed by a player ("1000000", "1,000,000", "1M", "2.5k")
+   * @returns {number|null} The count, or null if the value isn't a count
+   */
+  static parseSubscriberCount(value) {
+    const match = String(value).trim().replace(/[,_]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+    if (!match) {
+      return null;
+    }
+    
+    const multipliers = { k: 1000, m: 1000000, b: 1000000000 };
+    const multiplier = match[2] ? multipliers[match[2].toLowerCase()] : 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  }
+
+  /**
+   * Format subscriber count for display, e.g. 12.4M
+   * Counts that would round up to 1000.0 of a unit are shown in the next one
+   * (999,950 is 1.0M, not 1000.0K)
    */
   static formatSubscriberCount(count) {
     const num = parseInt(count);
     
-    if (num >= 1000000000) {
-      return (num / 1000000000).toFixed(1) + 'B';
-    } else if (num >= 1000000) {
-      return (num / 1000000).toFixed(1) + 'M';
-    } else if (num >= 1000) {
-      return (num / 1000).toFixed(1) + 'K';
+    for (const [value, suffix] of ABBREVIATIONS) {
+      // From 999.95 of the smaller unit, which would round up to 1000.0 of it
+      if (num >= value - value / 20000) {
+        return (num / value).toFixed(1) + suffix;
+      }
     }
     
     return count;
@@ -0,0 +1,138 @@
+// 5-row bitmap font, one string per row ('#' = block). Most glyphs are 3 wide,
+// a few letters need 5 columns to stay readable and punctuation is narrower.
+const GLYPHS = {
+  '0': ['###', '#.#', '#.#', '#.#', '###'],
+  '1': ['.#.', '##.', '.#.', '.#.', '###'],
+  '2': ['###', '..#', '###', '#..', '###'],
+  '3': ['###', '..#', '.##', '..#', '###'],
+  '4': ['#.#', '#.#', '###', '..#', '..#'],
+  '5': ['###', '#..', '###', '..#', '###'],
+  '6': ['###', '#..', '###', '#.#', '###'],
+  '7': ['###', '..#', '.#.', '.#.', '.#.'],
+  '8': ['###', '#.#', '###', '#.#', '###'],
+  '9': ['###', '#.#', '###', '..#', '###'],
+
+  'A': ['.#.', '#.#', '###', '#.#', '#.#'],
+  'B': ['##.', '#.#', '##.', '#.#', '##.'],
+  'C': ['.##', '#..', '#..', '#..', '.##'],
+  'D': ['##.', '#.#', '#.#', '#.#', '##.'],
+  'E': ['###', '#..', '##.', '#..', '###'],
+  'F': ['###', '#..', '##.', '#..', '#..'],
+  'G': ['.##', '#..', '#.#', '#.#', '.##'],
+  'H': ['#.#', '#.#', '###', '#.#', '#.#'],
+  'I': ['###', '.#.', '.#.', '.#.', '###'],
+  'J': ['..#', '..#', '..#', '#.#', '.#.'],
+  'K': ['#.#', '#.#', '##.', '#.#', '#.#'],
+  'L': ['#..', '#..', '#..', '#..', '###'],
+  'M': ['#...#', '##.##', '#.#.#', '#...#', '#...#'],
+  'N': ['#..#', '##.#', '#.##', '#..#', '#..#'],
+  'O': ['.#.', '#.#', '#.#', '#.#', '.#.'],
+  'P': ['##.', '#.#', '##.', '#..', '#..'],
+  'Q': ['.#.', '#.#', '#.#', '#.#', '.##'],
+  'R': ['##.', '#.#', '##.', '#.#', '#.#'],
+  'S': ['.##', '#..', '.#.', '..#', '##.'],
+  'T': ['###', '.#.', '.#.', '.#.', '.#.'],
+  'U': ['#.#', '#.#', '#.#', '#.#', '###'],
+  'V': ['#.#', '#.#', '#.#', '#.#', '.#.'],
+  'W': ['#...#', '#...#', '#.#.#', '##.##', '#...#'],
+  'X': ['#.#', '#.#', '.#.', '#.#', '#.#'],
+  'Y': ['#.#', '#.#', '.#.', '.#.', '.#.'],
+  'Z': ['###', '..#', '.#.', '#..', '###'],
+
+  ' ': ['..', '..', '..', '..', '..'],
+  '.': ['.', '.', '.', '.', '#'],
+  ',': ['.', '.', '.', '#', '#'],
+  ':': ['.', '#', '.', '#', '.'],
+  ';': ['.', '#', '.', '#', '#'],
+  '!': ['#', '#', '#', '.', '#'],
+  '?': ['###', '..#', '.#.', '...', '.#.'],
+  "'": ['#', '#', '.', '.', '.'],
+  '"': ['#.#', '#.#', '...', '...', '...'],
+  '-': ['...', '...', '###', '...', '...'],
+  '+': ['...', '.#.', '###', '.#.', '...'],
+  '=': ['...', '###', '...', '###', '...'],
+  '_': ['...', '...', '...', '...', '###'],
+  '/': ['..#', '..#', '.#.', '#..', '#..'],
+  '(': ['.#', '#.', '#.', '#.', '.#'],
+  ')': ['#.', '.#', '.#', '.#', '#.'],
+  '%': ['#.#', '..#', '.#.', '#..', '#.#'],
+  '#': ['#.#', '###', '#.#', '###', '#.#'],
+  '&': ['.#.', '#.#', '.#.', '#.#', '.##'],
+  '*': ['...', '#.#', '.#.', '#.#', '...'],
+  '<': ['..#', '.#.', '#..', '.#.', '..#'],
+  '>': ['#..', '.#.', '..#', '.#.', '#..'],
+  '@': ['###', '#.#', '#.#', '#..', '.##']
+};
+
+const GLYPH_HEIGHT = 5;
+
+class BlockFont {
+  /**
+   * Height of a line of text in blocks
+   */
+  static getHeight(scale = 1) {
+    return GLYPH_HEIGHT * scale;
+  }
+
+  /**
+   * Check whether the font can draw a character
+   */
+  static hasGlyph(char) {
+    return Boolean(GLYPHS[char.toUpperCase()]);
+  }
+
+  /**
+   * Rows of a glyph; unsupported characters are drawn as "?"
+   */
+  static getGlyph(char) {
+    return GLYPHS[char.toUpperCase()] || GLYPHS['?'];
+  }
+
+  /**
+   * Width of a text in blocks
+   * @param {string} text
+   * @param {Object} options - { scale, spacing } with spacing in unscaled columns
+   */
+  static measure(text, { scale = 1, spacing = 1 } = {}) {
+    const chars = Array.from(text);
+    if (chars.length === 0) return 0;
+
+    const glyphWidth = chars.reduce((sum, char) => sum + this.getGlyph(char)[0].length, 0);
+    return (glyphWidth + spacing * (chars.length - 1)) * scale;
+  }
+
+  /**
+   * Rasterize text into a grid of booleans
+   * @param {string} text
+   * @param {Object} options - { scale, spacing }
+   * @returns {Object} { width, height, rows } where rows[y][x] is true for a block (row 0 is the top)
+   */
+  static rasterize(text, { scale = 1, spacing = 1 } = {}) {
+    const width = this.measure(text, { scale, spacing });
+    const height = this.getHeight(scale);
+    const rows = Array.from({ length: height }, () => new Array(width).fill(false));
+
+    let cursor = 0;
+    for (const char of Array.from(text)) {
+      const glyph = this.getGlyph(char);
+
+      glyph.forEach((row, gy) => {
+        Array.from(row).forEach((cell, gx) => {
+          if (cell !== '#') return;
+
+          for (let sy = 0; sy < scale; sy++) {
+            for (let sx = 0; sx < scale; sx++) {
+              rows[gy * scale + sy][cursor + gx * scale + sx] = true;
+            }
+          }
+        });
+      });
+
+      cursor += (glyph[0].length + spacing) * scale;
+    }
+
+    return { width, height, rows };
+  }
+}
+
+module.exports = BlockFont;
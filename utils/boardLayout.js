@@ -0,0 +1,326 @@
+const config = require('../config');
+const Logger = require('./logger');
+
+// Compass directions as an X/Z step
+const FACINGS = {
+  north: { x: 0, z: -1 },
+  east: { x: 1, z: 0 },
+  south: { x: 0, z: 1 },
+  west: { x: -1, z: 0 }
+};
+
+const OPPOSITE = { north: 'south', east: 'west', south: 'north', west: 'east' };
+
+// Player yaw (yRot) in steps of 90 degrees, starting at 0 = looking south
+const FACING_BY_YAW = ['south', 'west', 'north', 'east'];
+
+const ORIENTATIONS = ['floor', 'ceiling', 'wall'];
+
+// querytarget reports a player's eye position
+const PLAYER_EYE_HEIGHT = 1.62;
+
+const WIDGET_TYPES = ['counter', 'avatar', 'name', 'image', 'goal', 'gap', 'leaderboard'];
+
+// Sides of a !vs race - widgets with a channel show that side instead of the main channel
+const VERSUS_CHANNELS = ['a', 'b'];
+
+class BoardLayout {
+  /**
+   * @param {Object} boards - Board definitions (see config.boards)
+   */
+  constructor(boards = config.boards) {
+    this.boards = {};     // board name -> definition currently in use
+    this.boardAreas = {}; // board name -> area covering the whole board
+    this.placements = {}; // board name -> { origin, orientation, facing } set with !place
+    this.areas = [];
+    Object.entries(boards).forEach(([boardName, board]) => this.addBoard(boardName, board));
+  }
+
+  /**
+   * Available orientations
+   */
+  static get orientations() {
+    return ORIENTATIONS;
+  }
+
+  /**
+   * World steps for moving right and down on a board as its reader sees it
+   * - floor: the top edge points towards facing (a reader looks that way)
+   * - ceiling: the same, seen from below, so left and right swap
+   * - wall: the front faces that way (a reader looks the opposite way), down is -Y
+   * @returns {Object} { right, down, front } as { x, y, z } steps (front points out of the board towards the reader)
+   */
+  static getAxes(orientation, facingName) {
+    const facing = FACINGS[facingName];
+    if (!facing) {
+      throw new Error(`Unknown facing "${facingName}" (use ${Object.keys(FACINGS).join(', ')})`);
+    }
+
+    switch (orientation) {
+      case 'floor':
+        // Reading a floor that faces south, right is west and down is north
+        return {
+          right: { x: -facing.z, y: 0, z: facing.x },
+          down: { x: -facing.x, y: 0, z: -facing.z },
+          front: { x: 0, y: 1, z: 0 }
+        };
+      case 'ceiling':
+        return {
+          right: { x: facing.z, y: 0, z: -facing.x },
+          down: { x: -facing.x, y: 0, z: -facing.z },
+          front: { x: 0, y: -1, z: 0 }
+        };
+      case 'wall':
+        // Reading a wall that faces south means looking north, so right is east
+        return {
+          right: { x: facing.z, y: 0, z: -facing.x },
+          down: { x: 0, y: -1, z: 0 },
+          front: { x: facing.x, y: 0, z: facing.z }
+        };
+      default:
+        throw new Error(`Unknown orientation "${orientation}" (use ${ORIENTATIONS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Check whether two sets of axes run the same way
+   */
+  static sameAxes(a, b) {
+    return ['right', 'down'].every(axis => ['x', 'y', 'z'].every(c => a[axis][c] === b[axis][c]));
+  }
+
+  /**
+   * Resolve every widget of a board into an area
+   */
+  addBoard(boardName, board) {
+    let axes;
+    try {
+      axes = BoardLayout.getAxes(board.orientation || 'floor', board.facing);
+    } catch (error) {
+      throw new Error(`Board ${boardName}: ${error.message}`);
+    }
+
+    this.boards[boardName] = board;
+
+    (board.widgets || []).forEach(widget => {
+      if (!WIDGET_TYPES.includes(widget.type)) {
+        throw new Error(`Board ${boardName}: unknown widget type "${widget.type}" (use ${WIDGET_TYPES.join(', ')})`);
+      }
+      if (!(widget.width > 0 && widget.height > 0)) {
+        throw new Error(`Board ${boardName}: ${widget.type} widget needs a width and height`);
+      }
+      if (widget.channel && !VERSUS_CHANNELS.includes(widget.channel)) {
+        throw new Error(`Board ${boardName}: unknown channel "${widget.channel}" (use ${VERSUS_CHANNELS.join(', ')})`);
+      }
+
+      const area = this.createArea(boardName, board, axes, widget);
+      if (this.areas.some(existing => existing.key === area.key)) {
+        throw new Error(`Board ${boardName}: two widgets named ${area.key}, give one of them an id`);
+      }
+      this.areas.push(area);
+    });
+
+    this.boardAreas[boardName] = this.createArea(boardName, board, axes, {
+      type: 'board',
+      ...this.getBoardSize(boardName)
+    });
+  }
+
+  /**
+   * An area is a widget placed in the world: it maps its own (u, v) block
+   * positions (u to the right, v down, from its top-left) to world coordinates
+   */
+  createArea(boardName, board, axes, widget) {
+    const { u: offsetU = 0, v: offsetV = 0 } = widget.offset || {};
+
+    const toWorld = (u, v) => ({
+      x: board.origin.x + (offsetU + u) * axes.right.x + (offsetV + v) * axes.down.x,
+      y: board.origin.y + (offsetU + u) * axes.right.y + (offsetV + v) * axes.down.y,
+      z: board.origin.z + (offsetU + u) * axes.right.z + (offsetV + v) * axes.down.z
+    });
+
+    const area = {
+      key: `${boardName}.${widget.id || widget.type}`,
+      board: boardName,
+      type: widget.type,
+      widget,
+      width: widget.width,
+      height: widget.height,
+      axes,
+      toWorld
+    };
+
+    area.region = this.getRegion(area, 0, 0, widget.width, widget.height);
+    return area;
+  }
+
+  /**
+   * Check whether a board exists
+   */
+  hasBoard(boardName) {
+    return Object.prototype.hasOwnProperty.call(this.boards, boardName);
+  }
+
+  /**
+   * Names of all boards
+   */
+  getBoardNames() {
+    return Object.keys(this.boards);
+  }
+
+  /**
+   * Area covering a whole board (the box around all of its widgets)
+   */
+  getBoardArea(boardName) {
+    return this.boardAreas[boardName];
+  }
+
+  /**
+   * Size of a board in blocks - the box around all of its widgets
+   */
+  getBoardSize(boardName) {
+    return (this.boards[boardName].widgets || []).reduce((size, widget) => {
+      const { u = 0, v = 0 } = widget.offset || {};
+      return {
+        width: Math.max(size.width, u + widget.width),
+        height: Math.max(size.height, v + widget.height)
+      };
+    }, { width: 0, height: 0 });
+  }
+
+  /**
+   * Move a board, keeping its widgets
+   * @param {Object} placement - { origin, orientation, facing }
+   */
+  setPlacement(boardName, placement) {
+    if (!this.hasBoard(boardName)) {
+      throw new Error(`Unknown board: ${boardName}`);
+    }
+
+    const { origin, orientation, facing } = placement;
+    const previousAreas = this.areas;
+    this.areas = this.areas.filter(area => area.board !== boardName);
+
+    try {
+      this.addBoard(boardName, { ...this.boards[boardName], origin, orientation, facing });
+    } catch (error) {
+      this.areas = previousAreas;
+      throw error;
+    }
+
+    this.placements[boardName] = { origin, orientation, facing };
+    Logger.info(`Board ${boardName} placed at ${origin.x} ${origin.y} ${origin.z} (${orientation}, facing ${facing})`);
+  }
+
+  /**
+   * Apply saved placements, skipping boards that no longer exist
+   */
+  applyPlacements(placements) {
+    Object.entries(placements).forEach(([boardName, placement]) => {
+      if (!this.hasBoard(boardName)) {
+        Logger.warn(`Ignoring saved placement for unknown board: ${boardName}`);
+        return;
+      }
+      this.setPlacement(boardName, placement);
+    });
+  }
+
+  /**
+   * Placements made at runtime (to save them)
+   */
+  getPlacements() {
+    return this.placements;
+  }
+
+  /**
+   * Work out where a board goes to be read by a player where they stand
+   * Floors start two blocks ahead of the player, walls stand three blocks ahead
+   * facing back at them and ceilings hang overhead - all centred on where they look
+   * @param {string} boardName
+   * @param {Object} player - querytarget result ({ position, yRot })
+   * @param {string} orientation - floor, ceiling or wall
+   * @returns {Object} { origin, orientation, facing }
+   */
+  getPlacementAt(boardName, { position, yRot }, orientation) {
+    const yaw = ((yRot % 360) + 360) % 360;
+    const look = FACING_BY_YAW[Math.round(yaw / 90) % 4];
+    // A wall faces back at the player; a ceiling is read with the head tilted back,
+    // so its top edge points behind them - both face the opposite way to the look
+    const facing = orientation === 'floor' ? look : OPPOSITE[look];
+    const axes = BoardLayout.getAxes(orientation, facing);
+    const { width, height } = this.getBoardSize(boardName);
+
+    const feet = {
+      x: Math.floor(position.x),
+      y: Math.round(position.y - PLAYER_EYE_HEIGHT),
+      z: Math.floor(position.z)
+    };
+    const distance = { floor: 2, wall: 3, ceiling: 0 }[orientation];
+    const rise = orientation === 'ceiling' ? 4 : 0;
+
+    // Centre of the board's bottom edge (a ceiling's centre, so it hangs right
+    // over the player), then back to its top-left corner
+    const anchor = {
+      x: feet.x + FACINGS[look].x * distance,
+      y: feet.y + rise,
+      z: feet.z + FACINGS[look].z * distance
+    };
+    const left = Math.floor(width / 2);
+    const up = orientation === 'ceiling' ? Math.floor(height / 2) : height - 1;
+    const origin = {};
+    ['x', 'y', 'z'].forEach(c => {
+      origin[c] = anchor[c] - axes.right[c] * left - axes.down[c] * up;
+    });
+
+    return { origin, orientation, facing };
+  }
+
+  /**
+   * World box covering part of an area
+   * @returns {Object} { from, to } as "x y z" strings plus min and max corners
+   */
+  getRegion(area, u, v, width, height) {
+    const a = area.toWorld(u, v);
+    const b = area.toWorld(u + width - 1, v + height - 1);
+    const min = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+    const max = { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) };
+
+    return { from: `${a.x} ${a.y} ${a.z}`, to: `${b.x} ${b.y} ${b.z}`, min, max };
+  }
+
+  /**
+   * All areas, or only those of one widget type
+   * With a type, only widgets showing the given !vs channel (null for the main channel) are returned
+   */
+  getAreas(type = null, channel = null) {
+    if (!type) {
+      return this.areas;
+    }
+    return this.areas.filter(area => area.type === type && (area.widget.channel || null) === channel);
+  }
+
+  /**
+   * Areas belonging to a !vs race - both channels' widgets and the gap readout
+   */
+  getVersusAreas() {
+    return this.areas.filter(area => area.widget.channel || area.type === 'gap');
+  }
+
+  /**
+   * First area of a widget type, or null if the layout has none
+   */
+  getArea(type) {
+    return this.getAreas(type)[0] || null;
+  }
+
+  /**
+   * Log where each widget ended up
+   */
+  describe() {
+    this.areas.forEach(area => {
+      Logger.debug(`${area.key}: ${area.width}x${area.height} from ${area.region.from} to ${area.region.to}`);
+    });
+  }
+}
+
+module.exports = BoardLayout;
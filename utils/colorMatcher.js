@@ -0,0 +1,226 @@
+const config = require('../config');
+
+// Per-channel weights for the "weighted-rgb" metric (green matters most to the eye)
+const RGB_WEIGHTS = [2, 4, 3];
+
+// CIEDE2000 is not a Euclidean distance, so the k-d tree is searched in Lab space
+// for this many candidates which are then ranked by their real CIEDE2000 distance
+const CIEDE2000_CANDIDATES = 16;
+
+class ColorMatcher {
+  /**
+   * @param {Object[]} palette - Entries with a "r, g, b" rgb string
+   * @param {string} metric - Distance metric (rgb, weighted-rgb, cie76, ciede2000)
+   */
+  constructor(palette, metric = config.image.colorMetric) {
+    this.metric = ColorMatcher.resolveMetric(metric);
+    if (!this.metric) {
+      throw new Error(`Unknown color metric: ${metric}`);
+    }
+
+    // Convert the palette once instead of on every lookup
+    this.colors = palette.map(entry => {
+      const rgb = entry.rgb.split(',').map(Number);
+      const lab = ColorMatcher.rgbToLab(...rgb);
+      return { entry, rgb, lab, point: this.toPoint(rgb, lab) };
+    });
+
+    this.tree = ColorMatcher.buildTree(this.colors, 0);
+  }
+
+  /**
+   * Available distance metrics
+   */
+  static get metrics() {
+    return ['rgb', 'weighted-rgb', 'cie76', 'ciede2000'];
+  }
+
+  /**
+   * Resolve a metric name, returning null if unknown
+   */
+  static resolveMetric(name) {
+    const normalized = name?.toLowerCase();
+    return this.metrics.includes(normalized) ? normalized : null;
+  }
+
+  /**
+   * Position of a colour in the space the k-d tree is built over
+   */
+  toPoint(rgb, lab) {
+    switch (this.metric) {
+      case 'rgb':
+        return rgb;
+      case 'weighted-rgb':
+        return rgb.map((value, i) => value * Math.sqrt(RGB_WEIGHTS[i]));
+      default:
+        return lab;
+    }
+  }
+
+  /**
+   * Find the closest palette colour
+   * @returns {Object} { entry, rgb }
+   */
+  findClosest(r, g, b) {
+    const rgb = [r, g, b];
+    const lab = ColorMatcher.rgbToLab(r, g, b);
+    const point = this.toPoint(rgb, lab);
+
+    if (this.metric !== 'ciede2000') {
+      const [nearest] = ColorMatcher.nearest(this.tree, point, 1);
+      return { entry: nearest.color.entry, rgb: nearest.color.rgb };
+    }
+
+    const candidates = ColorMatcher.nearest(this.tree, point, CIEDE2000_CANDIDATES);
+    let best = candidates[0].color;
+    let bestDistance = Number.MAX_VALUE;
+
+    for (const { color } of candidates) {
+      const distance = ColorMatcher.ciede2000(lab, color.lab);
+      if (distance < bestDistance) {
+        best = color;
+        bestDistance = distance;
+      }
+    }
+
+    return { entry: best.entry, rgb: best.rgb };
+  }
+
+  /**
+   * Build a 3D k-d tree over the palette colours
+   */
+  static buildTree(colors, depth) {
+    if (colors.length === 0) return null;
+
+    const axis = depth % 3;
+    const sorted = [...colors].sort((a, b) => a.point[axis] - b.point[axis]);
+    const median = Math.floor(sorted.length / 2);
+
+    return {
+      color: sorted[median],
+      axis,
+      left: this.buildTree(sorted.slice(0, median), depth + 1),
+      right: this.buildTree(sorted.slice(median + 1), depth + 1)
+    };
+  }
+
+  /**
+   * Find the k nearest colours to a point (squared Euclidean distance)
+   * @returns {Object[]} { color, distance } sorted closest first
+   */
+  static nearest(tree, point, k) {
+    const best = [];
+
+    const visit = node => {
+      if (!node) return;
+
+      const distance = node.color.point.reduce((sum, value, i) => sum + (value - point[i]) ** 2, 0);
+      if (best.length < k || distance < best[best.length - 1].distance) {
+        best.push({ color: node.color, distance });
+        best.sort((a, b) => a.distance - b.distance);
+        if (best.length > k) best.pop();
+      }
+
+      const diff = point[node.axis] - node.color.point[node.axis];
+      const [near, far] = diff < 0 ? [node.left, node.right] : [node.right, node.left];
+
+      visit(near);
+      if (best.length < k || diff * diff < best[best.length - 1].distance) {
+        visit(far);
+      }
+    };
+
+    visit(tree);
+    return best;
+  }
+
+  /**
+   * Convert sRGB (0-255) to CIELAB (D65 white point)
+   */
+  static rgbToLab(r, g, b) {
+    const linear = [r, g, b].map(value => {
+      const c = value / 255;
+      return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+
+    const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+    const y = (linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722) / 1.0;
+    const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * CIEDE2000 colour difference between two Lab colours
+   */
+  static ciede2000([l1, a1, b1], [l2, a2, b2]) {
+    const rad = deg => deg * Math.PI / 180;
+    const deg = r => r * 180 / Math.PI;
+
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const cMean = (c1 + c2) / 2;
+    const g = 0.5 * (1 - Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7)));
+
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+
+    const hue = (b, a) => {
+      if (b === 0 && a === 0) return 0;
+      const h = deg(Math.atan2(b, a));
+      return h >= 0 ? h : h + 360;
+    };
+    const h1p = hue(b1, a1p);
+    const h2p = hue(b2, a2p);
+
+    const deltaL = l2 - l1;
+    const deltaC = c2p - c1p;
+
+    let deltaH = 0;
+    if (c1p * c2p !== 0) {
+      deltaH = h2p - h1p;
+      if (deltaH > 180) deltaH -= 360;
+      else if (deltaH < -180) deltaH += 360;
+    }
+    const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(rad(deltaH / 2));
+
+    const lMean = (l1 + l2) / 2;
+    const cMeanP = (c1p + c2p) / 2;
+
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+      else hMean = h1p + h2p < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+    }
+
+    const t = 1
+      - 0.17 * Math.cos(rad(hMean - 30))
+      + 0.24 * Math.cos(rad(2 * hMean))
+      + 0.32 * Math.cos(rad(3 * hMean + 6))
+      - 0.20 * Math.cos(rad(4 * hMean - 63));
+
+    const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+    const sc = 1 + 0.045 * cMeanP;
+    const sh = 1 + 0.015 * cMeanP * t;
+
+    const deltaTheta = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+    const rc = 2 * Math.sqrt(cMeanP ** 7 / (cMeanP ** 7 + 25 ** 7));
+    const rt = -rc * Math.sin(rad(2 * deltaTheta));
+
+    return Math.sqrt(
+      (deltaL / sl) ** 2 +
+      (deltaC / sc) ** 2 +
+      (deltaHp / sh) ** 2 +
+      rt * (deltaC / sc) * (deltaHp / sh)
+    );
+  }
+}
+
+module.exports = ColorMatcher;
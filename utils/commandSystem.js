@@ -1,3 +1,4 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const uuid = require('uuid');
 const config = require('../config');
 const Logger = require('./logger');
@@ -5,15 +6,38 @@ const Logger = require('./logger');
 class CommandSystem {
   constructor(socket) {
     this.socket = socket;
-    this.lastCommandTime = 0;
     this.commandQueue = [];
-    this.isProcessing = false;
+    this.pendingCommands = new Map(); // requestId -> command awaiting its commandResponse
+
+    // Flow control - number of commands allowed in flight, tuned from response latency
+    this.window = config.flowControl.initialWindow;
+    this.averageLatency = null;
+
+    // Player whose command is being handled - follows everything the command
+    // starts (including timers such as live updates), so chat replies go to them
+    this.replyContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * JSON rawtext for tellraw/titleraw - JSON escaping keeps quotes, backslashes
+   * and newlines in the text from breaking out of the command
+   */
+  static rawtext(text) {
+    return JSON.stringify({ rawtext: [{ text: String(text) }] });
+  }
+
+  /**
+   * Target selector for one player by name
+   * Quotes can't be escaped inside a selector (and aren't allowed in gamertags), so they are dropped
+   */
+  static playerSelector(name) {
+    return `@a[name="${String(name).replace(/"/g, '')}"]`;
   }
 
   /**
    * Send a Minecraft command through WebSocket
    * @param {string} command - Minecraft command without leading slash
-   * @param {boolean} priority - Skip rate limiting for urgent commands
+   * @param {boolean} priority - Jump the queue for urgent commands (chat messages)
    */
   async sendCommand(command, priority = false) {
     return new Promise((resolve, reject) => {
@@ -30,51 +54,64 @@ class CommandSystem {
         priority,
         resolve,
         reject,
+        attempts: 0,
         timestamp: Date.now()
       };
 
-      if (priority || (Date.now() - this.lastCommandTime >= config.commandDelay)) {
-        this.executeCommand(commandData);
+      if (priority) {
+        this.commandQueue.unshift(commandData);
       } else {
         this.commandQueue.push(commandData);
-        this.processQueue();
       }
+      this.processQueue();
     });
   }
 
   /**
    * Send multiple commands as a batch
+   * All commands are queued at once and paced by the in-flight window; the batch
+   * rejects once every command has settled if any of them failed, unless
+   * allowFailures is set (e.g. clearing an area that may already be empty)
    * @param {string[]} commands - Array of commands
-   * @param {number} delay - Delay between commands in ms
-   */
-  async sendBatch(commands, delay = config.batchDelay) {
-    const results = [];
-    for (let i = 0; i < commands.length; i++) {
-      try {
-        const result = await this.sendCommand(commands[i]);
-        results.push(result);
-        
-        // Add delay between commands except for the last one
-        if (i < commands.length - 1) {
-          await this.sleep(delay);
-        }
-      } catch (error) {
-        Logger.error(`Failed to execute batch command ${i}: ${commands[i]}`, error);
-        results.push({ error: error.message });
-      }
+   * @param {Object} options
+   * @param {boolean} options.allowFailures - Resolve even if some commands failed in the world
+   */
+  async sendBatch(commands, { allowFailures = false } = {}) {
+    const results = await Promise.all(commands.map((command, i) =>
+      this.sendCommand(command).catch(error => {
+        Logger.warn(`Batch command ${i} failed: ${command} (${error.message})`);
+        return {
+          success: false,
+          command,
+          statusCode: error.statusCode,
+          statusMessage: error.statusMessage || error.message
+        };
+      })
+    ));
+
+    const failures = results.filter(result => !result.success);
+    if (failures.length > 0 && !allowFailures) {
+      const error = new Error(`${failures.length} of ${commands.length} commands failed (first: ${failures[0].statusMessage})`);
+      error.results = results;
+      throw error;
     }
+
     return results;
   }
 
   /**
    * Execute a single command immediately
+   * The promise settles once Minecraft answers with a matching commandResponse
    */
-  executeCommand({ command, resolve, reject }) {
+  executeCommand(commandData) {
+    const { command, reject } = commandData;
+    const requestId = uuid.v4();
+
     try {
       const message = {
         header: {
           version: 1,
-          requestId: uuid.v4(),
+          requestId,
           messagePurpose: 'commandRequest',
           messageType: 'commandRequest'
         },
@@ -87,51 +124,167 @@ class CommandSystem {
         }
       };
 
+      const timeoutId = setTimeout(() => {
+        this.handleCommandTimeout(requestId);
+      }, config.commandTimeout);
+
+      commandData.attempts++;
+      this.pendingCommands.set(requestId, { ...commandData, timeoutId, sentAt: Date.now() });
       this.socket.send(JSON.stringify(message));
-      this.lastCommandTime = Date.now();
       
       Logger.debug(`Executed command: ${command}`);
-      resolve({ success: true, command });
     } catch (error) {
+      const pending = this.pendingCommands.get(requestId);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this.pendingCommands.delete(requestId);
+      }
       Logger.error(`Failed to execute command: ${command}`, error);
       reject(error);
     }
   }
 
   /**
-   * Process queued commands
+   * Settle the command matching a commandResponse message
+   * @returns {boolean} Whether the response belonged to one of our commands
    */
-  async processQueue() {
-    if (this.isProcessing || this.commandQueue.length === 0) return;
+  handleCommandResponse(message) {
+    const requestId = message.header?.requestId;
+    const pending = this.pendingCommands.get(requestId);
+
+    if (!pending) {
+      return false;
+    }
+
+    clearTimeout(pending.timeoutId);
+    this.pendingCommands.delete(requestId);
+    this.recordLatency(Date.now() - pending.sentAt);
+
+    const statusCode = message.body?.statusCode ?? 0;
+    const statusMessage = message.body?.statusMessage || '';
 
-    this.isProcessing = true;
-    
+    if (statusCode === 0) {
+      pending.resolve({ success: true, command: pending.command, statusCode, statusMessage, body: message.body });
+    } else {
+      // A failed resend still fails: an earlier attempt may have landed, but callers
+      // can't tell, so renders forget the board and repaint it in full next time
+      const resent = pending.attempts > 1 ? `, attempt ${pending.attempts}` : '';
+      Logger.debug(`Command failed (${statusCode}${resent}): ${pending.command} - ${statusMessage}`);
+      pending.reject(this.createCommandError(pending.command, statusCode, statusMessage));
+    }
+
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Handle a command that got no response - Bedrock silently drops commands
+   * when too many are in flight, so shrink the window and send it again
+   * Priority commands (chat, queries) are not resent, as a late first attempt
+   * would show the same chat message twice
+   */
+  handleCommandTimeout(requestId) {
+    const pending = this.pendingCommands.get(requestId);
+    if (!pending) return;
+
+    this.pendingCommands.delete(requestId);
+    this.window = Math.max(config.flowControl.minWindow, Math.floor(this.window / 2));
+
+    const { timeoutId, sentAt, ...commandData } = pending;
+
+    if (!commandData.priority && commandData.attempts <= config.flowControl.maxRetries) {
+      Logger.warn(`No response for ${commandData.command}, retrying (attempt ${commandData.attempts + 1}, window ${this.window})`);
+      this.commandQueue.unshift(commandData);
+    } else {
+      commandData.reject(this.createCommandError(commandData.command, null, `No response after ${commandData.attempts} attempts`));
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Grow the window while Minecraft keeps up, shrink it once responses slow down
+   */
+  recordLatency(latency) {
+    const { minWindow, maxInFlight, targetLatency } = config.flowControl;
+
+    this.averageLatency = this.averageLatency === null
+      ? latency
+      : this.averageLatency * 0.8 + latency * 0.2;
+
+    if (this.averageLatency <= targetLatency) {
+      this.window = Math.min(maxInFlight, this.window + 1);
+    } else {
+      this.window = Math.max(minWindow, this.window - 1);
+    }
+  }
+
+  /**
+   * Send queued commands while the in-flight window has room
+   * Priority commands may use the spare room up to the hard in-flight cap
+   */
+  processQueue() {
     while (this.commandQueue.length > 0) {
-      const timeSinceLastCommand = Date.now() - this.lastCommandTime;
-      
-      if (timeSinceLastCommand < config.commandDelay) {
-        await this.sleep(config.commandDelay - timeSinceLastCommand);
+      const limit = this.commandQueue[0].priority ? config.flowControl.maxInFlight : this.window;
+
+      if (this.pendingCommands.size >= limit) {
+        break;
       }
-      
-      const commandData = this.commandQueue.shift();
-      this.executeCommand(commandData);
+
+      this.executeCommand(this.commandQueue.shift());
     }
-    
-    this.isProcessing = false;
+  }
+
+  /**
+   * Get current flow control figures (for status displays)
+   */
+  getFlowStats() {
+    return {
+      queued: this.commandQueue.length,
+      inFlight: this.pendingCommands.size,
+      window: this.window,
+      averageLatency: this.averageLatency === null ? null : Math.round(this.averageLatency)
+    };
   }
 
   /**
    * Clear all queued commands
    */
-  clearQueue() {
+  clearQueue(reason = 'queue cleared') {
     const clearedCount = this.commandQueue.length;
     this.commandQueue.forEach(({ reject }) => {
-      reject(new Error('Command cancelled - queue cleared'));
+      reject(new Error(`Command cancelled - ${reason}`));
     });
     this.commandQueue = [];
     Logger.info(`Cleared ${clearedCount} queued commands`);
   }
 
+  /**
+   * Build an error describing a command Minecraft rejected or never answered
+   */
+  createCommandError(command, statusCode, statusMessage) {
+    const error = new Error(`${command} failed: ${statusMessage}`);
+    error.command = command;
+    error.statusCode = statusCode;
+    error.statusMessage = statusMessage;
+    return error;
+  }
+
+  /**
+   * Reject every command still queued or waiting for a response (e.g. on
+   * disconnect), so batches waiting on them settle instead of hanging
+   */
+  cancelPending(reason = 'connection closed') {
+    // Queued commands first, so none gets sent as the in-flight ones are rejected
+    this.clearQueue(reason);
+
+    for (const pending of this.pendingCommands.values()) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(new Error(`Command cancelled - ${reason}`));
+    }
+    this.pendingCommands.clear();
+  }
+
   /**
    * Utility function for delays
    */
@@ -140,10 +293,62 @@ class CommandSystem {
   }
 
   /**
-   * Send a chat message
+   * Run a command handler with chat replies going to the player who sent it
+   * @param {string|null} player - Sender name (null replies to everyone)
+   * @param {Function} fn - Async handler
+   */
+  replyTo(player, fn) {
+    return this.replyContext.run(player, fn);
+  }
+
+  /**
+   * Send a chat message - to the player whose command is being handled, or to
+   * everyone for announcements, outside a command or with chat.replyToSender off
+   * A reply to a player who has left since (nobody matches) goes to everyone instead
+   * @param {string} message
+   * @param {Object} options - { broadcast } to send to everyone
    */
-  async say(message) {
-    return this.sendCommand(`say ${message}`, true);
+  async say(message, { broadcast = false } = {}) {
+    const player = this.replyContext.getStore();
+    if (broadcast || !player || !config.chat.replyToSender) {
+      return this.tellraw('@a', message);
+    }
+
+    try {
+      return await this.tellraw(CommandSystem.playerSelector(player), message);
+    } catch (error) {
+      // Only a command the world answered with a failure; cancelled ones stay failed
+      if (error.statusCode === undefined || error.statusCode === null) {
+        throw error;
+      }
+      Logger.debug(`${player} is no longer here, sending the reply to everyone`);
+      return this.tellraw('@a', message);
+    }
+  }
+
+  /**
+   * Send a chat message to the players matching a selector
+   */
+  async tellraw(target, message) {
+    return this.sendCommand(`tellraw ${target} ${CommandSystem.rawtext(message)}`, true);
+  }
+
+  /**
+   * Look up where an entity is
+   * @param {string} target - Target selector, e.g. @a[name="Steve"]
+   * @returns {Promise<Object|null>} { position: { x, y, z }, yRot, dimension } of the first match
+   */
+  async queryTarget(target) {
+    const result = await this.sendCommand(`querytarget ${target}`, true);
+
+    let details;
+    try {
+      details = JSON.parse(result.body?.details || '[]');
+    } catch (error) {
+      throw new Error(`Unexpected querytarget response: ${result.body?.details}`);
+    }
+
+    return details[0] || null;
   }
 
   /**
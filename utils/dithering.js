@@ -0,0 +1,117 @@
+// Error diffusion kernels as [dx, dy, weight] spread over the divisor
+const KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  atkinson: {
+    // Atkinson only spreads 6/8 of the error, which keeps flat areas clean
+    divisor: 8,
+    offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  }
+};
+
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+// How far (in 0-255 units) the Bayer threshold pushes a pixel either way
+const BAYER_SPREAD = 48;
+
+const ALIASES = {
+  off: 'none',
+  fs: 'floyd-steinberg',
+  floyd: 'floyd-steinberg',
+  floydsteinberg: 'floyd-steinberg',
+  ordered: 'bayer'
+};
+
+class Dithering {
+  /**
+   * Available dithering modes
+   */
+  static get modes() {
+    return ['none', 'floyd-steinberg', 'atkinson', 'bayer'];
+  }
+
+  /**
+   * Resolve a user supplied mode name (accepts aliases like "fs" or "ordered")
+   * @returns {string|null} Canonical mode name, or null if unknown
+   */
+  static resolveMode(name) {
+    if (!name) return null;
+
+    const normalized = name.toLowerCase();
+    const mode = ALIASES[normalized] || normalized;
+    return this.modes.includes(mode) ? mode : null;
+  }
+
+  /**
+   * Quantize raw pixel data to a palette
+   * @param {Buffer} data - Raw pixel data
+   * @param {Object} info - { width, height, channels }
+   * @param {string} mode - Dithering mode
+   * @param {Function} match - (r, g, b) => { entry, rgb: [r, g, b] } for the closest palette colour
+   * @param {Uint8Array} skip - Optional mask of pixels to leave out (they get null and no diffused error)
+   * @returns {Object[]} Matched palette entry for every pixel, row by row
+   */
+  static quantize(data, { width, height, channels }, mode, match, skip = null) {
+    const pixels = new Float32Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      pixels[i * 3] = data[i * channels];
+      pixels[i * 3 + 1] = data[i * channels + 1];
+      pixels[i * 3 + 2] = data[i * channels + 2];
+    }
+
+    const kernel = KERNELS[mode];
+    const result = new Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        if (skip && skip[idx]) {
+          result[idx] = null;
+          continue;
+        }
+
+        let r = pixels[idx * 3];
+        let g = pixels[idx * 3 + 1];
+        let b = pixels[idx * 3 + 2];
+
+        if (mode === 'bayer') {
+          const offset = ((BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * BAYER_SPREAD;
+          r += offset;
+          g += offset;
+          b += offset;
+        }
+
+        const clamp = value => Math.max(0, Math.min(255, Math.round(value)));
+        const matched = match(clamp(r), clamp(g), clamp(b));
+        result[idx] = matched.entry;
+
+        if (kernel) {
+          const errors = [r - matched.rgb[0], g - matched.rgb[1], b - matched.rgb[2]];
+
+          for (const [dx, dy, weight] of kernel.offsets) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) continue;
+            if (skip && skip[ny * width + nx]) continue;
+
+            const target = (ny * width + nx) * 3;
+            for (let c = 0; c < 3; c++) {
+              pixels[target + c] += errors[c] * weight / kernel.divisor;
+            }
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = Dithering;
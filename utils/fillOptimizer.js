@@ -0,0 +1,91 @@
+const Logger = require('./logger');
+
+// Bedrock refuses /fill commands covering more blocks than this
+const MAX_FILL_VOLUME = 32768;
+
+class FillOptimizer {
+  /**
+   * Merge same-block pixels into rectangles using a greedy scan
+   * Each rectangle grows right as far as the row allows, then down while
+   * every row below matches across the full width
+   * @param {Object[]} blocks - Block placements with pixel (px, py) and world (x, y, z) coordinates
+   * @param {Object[]} optional - Pixels already showing the right block; rectangles may
+   *   cover them to grow larger but never start from them
+   * @returns {Object[]} Rectangles as { block, from, to, width, height }
+   */
+  static mergeRectangles(blocks, optional = []) {
+    const grid = new Map();
+    optional.forEach(block => grid.set(`${block.px},${block.py}`, { ...block, optional: true }));
+    blocks.forEach(block => grid.set(`${block.px},${block.py}`, block));
+
+    const used = new Set();
+    const isFree = (px, py, blockType) => {
+      const key = `${px},${py}`;
+      const block = grid.get(key);
+      return block?.block === blockType && (block.optional || !used.has(key));
+    };
+
+    const ordered = [...blocks].sort((a, b) => a.py - b.py || a.px - b.px);
+    const rectangles = [];
+
+    for (const start of ordered) {
+      if (used.has(`${start.px},${start.py}`)) continue;
+
+      let width = 1;
+      while (width < MAX_FILL_VOLUME && isFree(start.px + width, start.py, start.block)) {
+        width++;
+      }
+
+      let height = 1;
+      while ((height + 1) * width <= MAX_FILL_VOLUME) {
+        let rowMatches = true;
+        for (let dx = 0; dx < width; dx++) {
+          if (!isFree(start.px + dx, start.py + height, start.block)) {
+            rowMatches = false;
+            break;
+          }
+        }
+        if (!rowMatches) break;
+        height++;
+      }
+
+      for (let dy = 0; dy < height; dy++) {
+        for (let dx = 0; dx < width; dx++) {
+          used.add(`${start.px + dx},${start.py + dy}`);
+        }
+      }
+
+      rectangles.push({
+        block: start.block,
+        from: start,
+        to: grid.get(`${start.px + width - 1},${start.py + height - 1}`),
+        width,
+        height
+      });
+    }
+
+    return rectangles;
+  }
+
+  /**
+   * Turn block placements into the fewest setblock/fill commands we can find
+   * @param {Object[]} blocks - Block placements with world positions (from MinecraftRenderer.placeInArea)
+   * @param {Object[]} optional - Pixels that may be overwritten with the block they already have
+   * @returns {string[]} Minecraft commands
+   */
+  static buildCommands(blocks, optional = []) {
+    const rectangles = this.mergeRectangles(blocks, optional);
+
+    const commands = rectangles.map(({ block, from, to, width, height }) => {
+      if (width === 1 && height === 1) {
+        return `setblock ${from.x} ${from.y} ${from.z} ${block}`;
+      }
+      return `fill ${from.x} ${from.y} ${from.z} ${to.x} ${to.y} ${to.z} ${block}`;
+    });
+
+    Logger.debug(`Merged ${blocks.length} blocks into ${rectangles.length} rectangles`);
+    return commands;
+  }
+}
+
+module.exports = FillOptimizer;
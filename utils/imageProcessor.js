@@ -1,60 +1,218 @@
 const sharp = require('sharp');
-const fs = require('fs').promises;
 const fetch = require('node-fetch');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const config = require('../config');
 const Logger = require('./logger');
+const Dithering = require('./dithering');
+const ColorMatcher = require('./colorMatcher');
+
+// Addresses a download must not reach unless download.allowPrivateHosts is set:
+// this machine, private and link-local networks, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Redirects followed by a download, each checked like the first URL
+const MAX_REDIRECTS = 5;
+
+/**
+ * Check whether an address is in PRIVATE_ADDRESSES
+ * BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+ */
+function isPrivateAddress(address, family) {
+  return PRIVATE_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for download sockets, failing the connection when the host resolves
+ * to a private address - checked on the address actually connected to, so a host
+ * can't answer one address to a check and another to the download
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    // options.all (used by autoSelectFamily) answers a list instead
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address, entry.family))) {
+      callback(new Error(`Downloads from local or private addresses are not allowed (${hostname})`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const DOWNLOAD_AGENTS = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// Our fit mode names -> sharp's resize fit options
+const FIT_MODES = {
+  cover: 'cover',
+  contain: 'contain',
+  stretch: 'fill'
+};
 
 class ImageProcessor {
-  constructor(woolColors) {
-    this.woolColors = woolColors;
+  /**
+   * @param {PaletteManager} paletteManager - Shared palette definitions
+   */
+  constructor(paletteManager) {
+    this.paletteManager = paletteManager;
     this.colorCache = new Map();
+    this.setPalette(config.palettes.default);
   }
 
   /**
-   * Find the closest wool color for RGB values using Euclidean distance
+   * Switch the block palette used for color matching
+   */
+  setPalette(name) {
+    const palette = this.paletteManager.get(name);
+
+    if (palette.length === 0) {
+      throw new Error(`Palette ${name} has no blocks`);
+    }
+
+    this.paletteName = name;
+    this.palette = palette;
+    this.colorMatcher = new ColorMatcher(palette, config.image.colorMetric);
+    this.clearCache();
+
+    Logger.info(`Using palette ${name} (${palette.length} blocks)`);
+  }
+
+  /**
+   * Find the closest palette color for RGB values using the configured metric
    * Cached for performance
+   * @returns {Object} { entry, rgb } - the palette entry and its RGB values
    */
-  findClosestWoolColor(r, g, b) {
+  findClosestPaletteColor(r, g, b) {
     const key = `${r},${g},${b}`;
     
     if (this.colorCache.has(key)) {
       return this.colorCache.get(key);
     }
 
-    let closestColor = this.woolColors[0];
-    let closestDistance = Number.MAX_VALUE;
+    const match = this.colorMatcher.findClosest(r, g, b);
+    this.colorCache.set(key, match);
+    return match;
+  }
 
-    for (const woolColor of this.woolColors) {
-      const [wr, wg, wb] = woolColor.rgb.split(',').map(Number);
-      const distance = (r - wr) ** 2 + (g - wg) ** 2 + (b - wb) ** 2;
-      
-      if (distance < closestDistance) {
-        closestColor = woolColor;
-        closestDistance = distance;
+  /**
+   * Find the closest palette block name for RGB values
+   */
+  findClosestWoolColor(r, g, b) {
+    return this.findClosestPaletteColor(r, g, b).entry.name;
+  }
+
+  /**
+   * Check that a URL may be downloaded from: http(s), on an allowed host, and
+   * not a private address literal (host names are checked as they connect)
+   * @throws {Error} If the URL is refused
+   */
+  checkDownloadUrl(imageUrl, {
+    allowedHosts = config.image.download.allowedHosts || [],
+    allowPrivateHosts = config.image.download.allowPrivateHosts
+  } = {}) {
+    const url = new URL(imageUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Only http(s) URLs can be downloaded (got ${url.protocol})`);
+    }
+
+    // IPv6 literals come with brackets
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowedHosts.length > 0 && !allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+      throw new Error(`Downloads from ${host} are not allowed`);
+    }
+
+    // Sockets skip the lookup for addresses, so these are checked here
+    if (!allowPrivateHosts && net.isIP(host) && isPrivateAddress(host, net.isIP(host))) {
+      throw new Error(`Downloads from local or private addresses are not allowed (${host})`);
+    }
+  }
+
+  /**
+   * Download an image, refusing private hosts and anything too large or not an
+   * accepted image type
+   * Redirects are followed by hand, so every hop is checked too
+   * @param {string} imageUrl
+   * @param {Object} limits
+   * @param {number} limits.maxBytes - Largest download accepted
+   * @param {string[]} limits.allowedTypes - Accepted Content-Type values
+   * @returns {Promise<Buffer>} Encoded image data
+   */
+  async downloadImage(imageUrl, {
+    maxBytes = config.image.download.maxBytes,
+    allowedTypes = config.image.download.allowedTypes
+  } = {}) {
+    Logger.info(`Downloading image from: ${imageUrl}`);
+    
+    let url = imageUrl;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      this.checkDownloadUrl(url);
+
+      // node-fetch aborts the body once it grows past `size`
+      response = await fetch(url, {
+        size: maxBytes,
+        redirect: 'manual',
+        agent: config.image.download.allowPrivateHosts ? undefined : ({ protocol }) => DOWNLOAD_AGENTS[protocol]
+      });
+
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
       }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+      }
+      url = new URL(location, url).toString();
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (contentType && !allowedTypes.includes(contentType)) {
+      throw new Error(`Unsupported content type: ${contentType}`);
     }
 
-    this.colorCache.set(key, closestColor.name);
-    return closestColor.name;
+    const contentLength = Number(response.headers.get('content-length'));
+    if (contentLength > maxBytes) {
+      throw new Error(`Image is too large (${Math.round(contentLength / 1024)}KB, max ${Math.round(maxBytes / 1024)}KB)`);
+    }
+
+    const buffer = await response.buffer();
+    
+    Logger.success(`Image downloaded successfully (${buffer.length} bytes)`);
+    return buffer;
   }
 
   /**
    * Download and process an image from URL
+   * Everything stays in memory so concurrent renders never share files
+   * @param {string} imageUrl
+   * @param {Object} options - Size and fit passed to processImage
+   * @returns {Promise<Object>} Raw pixels as { data, info }
    */
-  async downloadAndProcessImage(imageUrl) {
+  async downloadAndProcessImage(imageUrl, options = {}) {
     try {
-      Logger.info(`Downloading image from: ${imageUrl}`);
-      
-      const response = await fetch(imageUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const buffer = await response.buffer();
-      await fs.writeFile(config.image.tempFiles.original, buffer);
-      
-      Logger.success('Image downloaded successfully');
-      return await this.processImage();
+      const buffer = await this.downloadImage(imageUrl);
+      return await this.processImage(buffer, options);
     } catch (error) {
       Logger.error('Failed to download image', error);
       throw error;
@@ -62,65 +220,197 @@ class ImageProcessor {
   }
 
   /**
-   * Process the downloaded image (resize and optimize)
+   * Process the downloaded image (resize and decode to raw pixels)
+   * @param {Buffer} buffer - Encoded image data
+   * @param {Object} options
+   * @param {number} options.width - Target width in blocks
+   * @param {number} options.height - Target height in blocks
+   * @param {string} options.fit - cover (crop), contain (letterbox, transparent bars) or stretch
+   * @returns {Promise<Object>} Raw pixels as { data, info }
    */
-  async processImage() {
+  async processImage(buffer, {
+    width = config.image.width,
+    height = config.image.height,
+    fit = 'cover'
+  } = {}) {
     try {
-      Logger.info(`Processing image to ${config.image.width}x${config.image.height}`);
+      const metadata = await this.readMetadata(buffer);
+
+      Logger.info(`Processing ${metadata.format} image (${metadata.width}x${metadata.height}) to ${width}x${height} (${fit})`);
       
-      await sharp(config.image.tempFiles.original)
-        .resize(config.image.width, config.image.height, {
-          fit: 'cover',
-          position: 'center'
-        })
-        .png()
-        .toFile(config.image.tempFiles.processed);
+      const image = await this.resizeFrame(buffer, { width, height, fit, page: 0 });
       
       Logger.success('Image processed successfully');
-      return config.image.tempFiles.processed;
+      return image;
     } catch (error) {
       Logger.error('Failed to process image', error);
       throw error;
     }
   }
 
+  /**
+   * Decode every frame of an animated GIF/WebP to raw pixels
+   * @param {Buffer} buffer - Encoded image data
+   * @param {Object} options - Same size and fit options as processImage
+   * @returns {Promise<Object>} { frames: [{ data, info }], delays: [ms] }
+   */
+  async processAnimation(buffer, {
+    width = config.image.width,
+    height = config.image.height,
+    fit = 'cover'
+  } = {}) {
+    try {
+      const metadata = await this.readMetadata(buffer);
+      const pageCount = Math.min(metadata.pages || 1, config.animation.maxFrames);
+
+      if ((metadata.pages || 1) > pageCount) {
+        Logger.warn(`Animation has ${metadata.pages} frames, only the first ${pageCount} are used`);
+      }
+
+      Logger.info(`Processing ${pageCount} ${metadata.format} frames to ${width}x${height} (${fit})`);
+
+      const frames = [];
+      for (let page = 0; page < pageCount; page++) {
+        frames.push(await this.resizeFrame(buffer, { width, height, fit, page }));
+      }
+
+      // GIFs store per-frame delays; fall back to 100ms when missing
+      const delays = frames.map((_, i) => metadata.delay?.[i] || 100);
+
+      Logger.success(`Processed ${frames.length} animation frames`);
+      return { frames, delays };
+    } catch (error) {
+      Logger.error('Failed to process animation', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an image has more than one frame
+   */
+  async isAnimated(buffer) {
+    const metadata = await this.readMetadata(buffer);
+    return (metadata.pages || 1) > 1;
+  }
+
+  /**
+   * Read image metadata, rejecting formats we don't accept
+   */
+  async readMetadata(buffer) {
+    const metadata = await sharp(buffer, { limitInputPixels: config.image.download.maxInputPixels }).metadata();
+    if (!config.image.download.allowedFormats.includes(metadata.format)) {
+      throw new Error(`Unsupported image format: ${metadata.format}`);
+    }
+    return metadata;
+  }
+
+  /**
+   * Resize one frame (page) of an image and decode it to RGBA
+   */
+  async resizeFrame(buffer, { width, height, fit, page }) {
+    if (!FIT_MODES[fit]) {
+      throw new Error(`Unknown fit mode: ${fit}`);
+    }
+
+    return sharp(buffer, { page, limitInputPixels: config.image.download.maxInputPixels })
+      .resize(width, height, {
+        fit: FIT_MODES[fit],
+        position: 'center',
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Work out which pixels are transparent and flatten the image to RGB
+   * Pixels outside the circle mask count as fully transparent. In background mode,
+   * partly transparent pixels are blended over the background block's colour.
+   * @returns {Object} { rgb, transparent } - 3-channel pixels and a per-pixel transparency mask
+   */
+  applyTransparency({ data, info }, { circle, transparency, background }) {
+    const { width, height, channels } = info;
+    const rgb = Buffer.alloc(width * height * 3);
+    const transparent = new Uint8Array(width * height);
+
+    const backgroundEntry = transparency === 'background' ? this.paletteManager.findBlock(background) : null;
+    const backgroundRgb = backgroundEntry ? backgroundEntry.rgb.split(',').map(Number) : null;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        let alpha = channels === 4 ? data[idx * 4 + 3] : 255;
+
+        if (circle) {
+          const dx = (x + 0.5 - width / 2) / (width / 2);
+          const dy = (y + 0.5 - height / 2) / (height / 2);
+          if (dx * dx + dy * dy > 1) alpha = 0;
+        }
+
+        transparent[idx] = alpha < config.image.transparency.alphaThreshold ? 1 : 0;
+
+        for (let c = 0; c < 3; c++) {
+          const value = data[idx * channels + c];
+          rgb[idx * 3 + c] = backgroundRgb
+            ? Math.round(value * alpha / 255 + backgroundRgb[c] * (1 - alpha / 255))
+            : value;
+        }
+      }
+    }
+
+    return { rgb, transparent };
+  }
+
   /**
    * Generate Minecraft blocks data from processed image
+   * Blocks carry pixel positions only - the renderer places them in a layout area
+   * @param {Object} image - Raw pixels from processImage as { data, info }
+   * @param {Object} options
+   * @param {string} options.dither - Dithering mode (none, floyd-steinberg, atkinson, bayer)
+   * @param {boolean} options.circle - Crop to a circle like YouTube shows avatars
+   * @param {string} options.transparency - "skip" leaves transparent pixels untouched, "background" places the background block
+   * @param {string} options.background - Block used for transparent pixels in background mode
+   * @returns {Promise<Object[]>} Block for every pixel as { px, py, block } (transparent pixels left out in skip mode)
    */
-  async generateBlockData() {
+  async generateBlockData(image, {
+    dither = config.image.dither,
+    circle = config.image.circleMask,
+    transparency = config.image.transparency.mode,
+    background = config.image.transparency.background
+  } = {}) {
     try {
-      const { data, info } = await sharp(config.image.tempFiles.processed)
-        .raw()
-        .toBuffer({ resolveWithObject: true });
-      
+      const mode = Dithering.resolveMode(dither);
+      if (!mode) {
+        throw new Error(`Unknown dithering mode: ${dither}`);
+      }
+      if (!['skip', 'background'].includes(transparency)) {
+        throw new Error(`Unknown transparency mode: ${transparency}`);
+      }
+
       const blocks = [];
-      const { width, height } = info;
+      const { width, height } = image.info;
+      const { rgb, transparent } = this.applyTransparency(image, { circle, transparency, background });
+      const matches = Dithering.quantize(rgb, { width, height, channels: 3 }, mode,
+        (r, g, b) => this.findClosestPaletteColor(r, g, b), transparent);
+      let skipped = 0;
       
       for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
-          const idx = (y * width + x) * 3; // RGB = 3 bytes per pixel
-          const r = data[idx];
-          const g = data[idx + 1];
-          const b = data[idx + 2];
+          const idx = y * width + x;
           
-          const woolColor = this.findClosestWoolColor(r, g, b);
+          if (transparent[idx] && transparency === 'skip') {
+            skipped++;
+            continue;
+          }
           
-          // Calculate Minecraft coordinates
-          const mcX = config.coordinates.profileImage.corner.x + (width - 1 - x);
-          const mcY = config.coordinates.profileImage.corner.y;
-          const mcZ = config.coordinates.profileImage.corner.z - y; // Flip Y axis for Minecraft
+          const woolColor = transparent[idx] ? background : matches[idx].name;
           
-          blocks.push({
-            x: mcX,
-            y: mcY,
-            z: mcZ,
-            block: woolColor,
-            coordinates: `${mcX} ${mcY} ${mcZ}`
-          });
+          blocks.push({ px: x, py: y, block: woolColor });
         }
       }
       
-      Logger.success(`Generated ${blocks.length} block placements`);
+      Logger.success(`Generated ${blocks.length} block placements (dithering: ${mode}, ${skipped} transparent pixels skipped)`);
       return blocks;
     } catch (error) {
       Logger.error('Failed to generate block data', error);
@@ -128,19 +418,6 @@ class ImageProcessor {
     }
   }
 
-  /**
-   * Clean up temporary files
-   */
-  async cleanup() {
-    try {
-      await fs.unlink(config.image.tempFiles.original).catch(() => {});
-      await fs.unlink(config.image.tempFiles.processed).catch(() => {});
-      Logger.debug('Temporary files cleaned up');
-    } catch (error) {
-      Logger.warn('Failed to cleanup temporary files', error);
-    }
-  }
-
   /**
    * Clear the color cache
    */
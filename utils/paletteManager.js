@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const Logger = require('./logger');
+
+class PaletteManager {
+  /**
+   * @param {string} directory - Folder holding one JSON block list per file
+   */
+  constructor(directory = config.palettes.directory) {
+    this.directory = directory;
+    this.blockLists = new Map(); // file name (without .json) -> block entries
+  }
+
+  /**
+   * Load every block list in the palette directory
+   */
+  async load() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const listName = path.basename(file, '.json');
+      const data = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+
+      if (!Array.isArray(data)) {
+        Logger.warn(`Skipping palette file ${file}: expected an array of blocks`);
+        continue;
+      }
+
+      this.blockLists.set(listName, data.map(entry => this.normalizeEntry(entry, listName)));
+    }
+
+    const missing = this.getNames().filter(name => this.get(name).length === 0);
+    if (missing.length > 0) {
+      Logger.warn(`Palettes without any blocks: ${missing.join(', ')}`);
+    }
+
+    Logger.success(`Loaded ${this.blockLists.size} block lists (${this.countBlocks()} blocks) from ${this.directory}`);
+  }
+
+  /**
+   * Fill in metadata older palette files may not have
+   * Entries only need a name ("wool 14") or an id + data value, plus an rgb string
+   */
+  normalizeEntry(entry, listName) {
+    const [id, data] = (entry.name || '').split(' ');
+
+    return {
+      name: entry.name || `${entry.id} ${entry.data ?? 0}`,
+      id: entry.id || id,
+      data: entry.data ?? Number(data || 0),
+      category: entry.category || listName,
+      rgb: entry.rgb
+    };
+  }
+
+  /**
+   * Names of every palette that can be selected - the sets defined in config
+   * plus each block list on its own
+   */
+  getNames() {
+    const names = new Set(Object.keys(config.palettes.sets));
+    this.blockLists.forEach((_, listName) => names.add(listName));
+    return Array.from(names);
+  }
+
+  /**
+   * Check whether a palette name exists
+   */
+  has(name) {
+    return this.getNames().includes(name);
+  }
+
+  /**
+   * Get the block entries making up a palette
+   */
+  get(name) {
+    const listNames = config.palettes.sets[name] || (this.blockLists.has(name) ? [name] : null);
+
+    if (!listNames) {
+      throw new Error(`Unknown palette: ${name}`);
+    }
+
+    return listNames.flatMap(listName => this.blockLists.get(listName) || []);
+  }
+
+  /**
+   * Find a block by name (e.g. "wool 0") in any block list
+   * @returns {Object|null}
+   */
+  findBlock(name) {
+    for (const list of this.blockLists.values()) {
+      const entry = list.find(block => block.name === name);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Total number of blocks across all block lists
+   */
+  countBlocks() {
+    let count = 0;
+    this.blockLists.forEach(list => { count += list.length; });
+    return count;
+  }
+}
+
+module.exports = PaletteManager;
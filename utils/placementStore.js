@@ -0,0 +1,54 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const Logger = require('./logger');
+
+class PlacementStore {
+  /**
+   * @param {string} file - JSON file holding board placements made with !place
+   */
+  constructor(file = config.placements.file) {
+    this.file = file;
+  }
+
+  /**
+   * Placements file of a world, e.g. data/placements.survival.json
+   * @param {string} file - Placements file (used as is without a world)
+   * @param {string|null} world
+   */
+  static getWorldFile(file, world) {
+    if (!world) {
+      return file;
+    }
+    const extension = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, extension)}.${world}${extension}`);
+  }
+
+  /**
+   * Read saved placements
+   * @returns {Promise<Object>} board name -> { origin, orientation, facing } (empty if nothing was saved yet)
+   */
+  async load() {
+    try {
+      const placements = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      Logger.info(`Loaded ${Object.keys(placements).length} saved board placements from ${this.file}`);
+      return placements;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save placements, replacing what was saved before
+   */
+  async save(placements) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(this.file, JSON.stringify(placements, null, 2));
+    Logger.debug(`Saved board placements to ${this.file}`);
+  }
+}
+
+module.exports = PlacementStore;